@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+
+// Signed room tokens are compact HS256 JWTs, so they can be inspected with
+// standard tooling but need no extra dependency to issue or verify.
+const TOKEN_SECRET = config.tokenSecret || crypto.randomBytes(32).toString('hex');
+if (!config.tokenSecret) {
+  logger.warn('No token secret configured (ROOM_TOKEN_SECRET); invite tokens will not survive a restart');
+}
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const hmac = (data) => crypto.createHmac('sha256', TOKEN_SECRET).update(data).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const signToken = (payload, ttlSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const body = encode({ ...payload, iat: now, exp: now + ttlSeconds });
+  return `${header}.${body}.${hmac(`${header}.${body}`)}`;
+};
+
+// Returns the token payload, or null if it is malformed, forged or expired
+const verifyToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const [header, body, signature] = token.split('.');
+  if (!header || !body || !signature || !safeEqual(signature, hmac(`${header}.${body}`))) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return payload.exp > Math.floor(Date.now() / 1000) ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+};
+
+const verifyPassword = (password, stored) => {
+  if (typeof password !== 'string' || !stored) return false;
+  const [salt, hash] = stored.split(':');
+  return safeEqual(crypto.scryptSync(password, salt, 64).toString('hex'), hash);
+};
+
+// Room tokens name the instance of the room they were issued for, so they
+// are worthless for a room created later under the same id. Returns the
+// payload of a valid token for this room, or null.
+const roomClaims = (token, room) => {
+  const claims = verifyToken(token);
+  return claims && claims.roomId === room.id && claims.instance === room.instanceId ? claims : null;
+};
+
+const isHostToken = (token, room) => roomClaims(token, room)?.role === 'host';
+
+// Decide whether a join attempt may enter the room. Returns null when
+// allowed, or an error object for the client.
+const checkRoomAccess = (room, { token, password } = {}) => {
+  const { access } = room;
+  if (!access) return null;
+
+  if (roomClaims(token, room)) return null;
+
+  if (access.inviteOnly) {
+    return { code: 'INVITE_REQUIRED', message: token ? 'Invite link is invalid or expired' : 'This room is invite-only' };
+  }
+  if (access.passwordHash && !verifyPassword(password, access.passwordHash)) {
+    return { code: 'PASSWORD_REQUIRED', message: password ? 'Incorrect room password' : 'This room requires a password' };
+  }
+  return null;
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  hashPassword,
+  verifyPassword,
+  roomClaims,
+  isHostToken,
+  checkRoomAccess,
+};
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('./auth');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const room = (access) => ({ id: 'board', instanceId: 'instance-1', access });
+
+test('a signed token verifies to its payload', () => {
+  const claims = auth.verifyToken(auth.signToken({ roomId: 'board', role: 'guest' }, 60));
+  assert.equal(claims.roomId, 'board');
+  assert.equal(claims.role, 'guest');
+  assert.ok(claims.exp > claims.iat);
+});
+
+test('expired, forged and malformed tokens are rejected', () => {
+  assert.equal(auth.verifyToken(auth.signToken({ roomId: 'board' }, -1)), null);
+
+  const [header, , signature] = auth.signToken({ roomId: 'board', role: 'guest' }, 60).split('.');
+  const exp = Math.floor(Date.now() / 1000) + 60;
+  assert.equal(auth.verifyToken(`${header}.${encode({ roomId: 'board', role: 'host', exp })}.${signature}`), null);
+  assert.equal(auth.verifyToken(`${encode({ alg: 'none' })}.${encode({ roomId: 'board', exp })}.`), null);
+
+  [undefined, null, 42, '', 'a.b', 'a.b.c', {}].forEach((token) => assert.equal(auth.verifyToken(token), null));
+});
+
+test('passwords verify against their hash only', () => {
+  const stored = auth.hashPassword('correct horse');
+  assert.ok(auth.verifyPassword('correct horse', stored));
+  assert.ok(!auth.verifyPassword('wrong horse', stored));
+  assert.ok(!auth.verifyPassword(undefined, stored));
+  assert.ok(!auth.verifyPassword('correct horse', null));
+  assert.notEqual(auth.hashPassword('correct horse'), stored);
+});
+
+test('room tokens only count for the room instance they were issued for', () => {
+  const host = auth.signToken({ roomId: 'board', instance: 'instance-1', role: 'host' }, 60);
+  const guest = auth.signToken({ roomId: 'board', instance: 'instance-1', role: 'guest' }, 60);
+  const earlier = auth.signToken({ roomId: 'board', instance: 'instance-0', role: 'host' }, 60);
+  const other = auth.signToken({ roomId: 'other', instance: 'instance-1', role: 'host' }, 60);
+
+  assert.ok(auth.isHostToken(host, room(null)));
+  assert.ok(!auth.isHostToken(guest, room(null)));
+  assert.ok(!auth.isHostToken(earlier, room(null)));
+  assert.ok(!auth.isHostToken(other, room(null)));
+  assert.equal(auth.roomClaims(earlier, room(null)), null);
+  assert.equal(auth.roomClaims(guest, room(null)).role, 'guest');
+});
+
+test('checkRoomAccess lets anyone into an open room', () => {
+  assert.equal(auth.checkRoomAccess(room(null), {}), null);
+});
+
+test('checkRoomAccess asks for the password of a protected room', () => {
+  const locked = room({ passwordHash: auth.hashPassword('secret'), inviteOnly: false });
+  assert.equal(auth.checkRoomAccess(locked, {}).code, 'PASSWORD_REQUIRED');
+  assert.equal(auth.checkRoomAccess(locked, { password: 'guess' }).code, 'PASSWORD_REQUIRED');
+  assert.equal(auth.checkRoomAccess(locked, { password: 'secret' }), null);
+  const invite = auth.signToken({ roomId: 'board', instance: 'instance-1', role: 'guest' }, 60);
+  assert.equal(auth.checkRoomAccess(locked, { token: invite }), null);
+});
+
+test('checkRoomAccess only takes a valid invite into an invite-only room', () => {
+  const inviteOnly = room({ passwordHash: null, inviteOnly: true });
+  assert.equal(auth.checkRoomAccess(inviteOnly, {}).code, 'INVITE_REQUIRED');
+
+  const invite = auth.signToken({ roomId: 'board', instance: 'instance-1', role: 'guest' }, 60);
+  assert.equal(auth.checkRoomAccess(inviteOnly, { token: invite }), null);
+
+  [
+    auth.signToken({ roomId: 'board', instance: 'instance-1', role: 'guest' }, -1),
+    auth.signToken({ roomId: 'board', instance: 'instance-0', role: 'guest' }, 60),
+    auth.signToken({ roomId: 'other', instance: 'instance-1', role: 'guest' }, 60),
+    auth.signToken({ participantId: 'someone' }, 60),
+  ].forEach((token) => assert.equal(auth.checkRoomAccess(inviteOnly, { token }).code, 'INVITE_REQUIRED'));
+});
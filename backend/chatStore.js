@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Chat stores share one async interface so the backend can be picked in config:
+//   append(roomId, message) -> stored message
+//   list(roomId, { before, limit, viewer }) -> { messages, hasMore }
+//   get(roomId, id) -> stored message or null
+//   findByClientId(roomId, from, clientId) -> stored message or null
+//   update(roomId, id, changes) -> updated message or null
+//   evictRoom(roomId) -> forgets a room that has ended: the memory store
+//     drops its messages, the file store its in-memory copy of the file
+// `before` is a message id; results are oldest-first. Direct messages (those
+// with a `to`) are only listed for their sender and recipient. Client ids are
+// only unique per sender, so they are looked up together with `from`.
+// The server passes a room's instance id as `roomId`, so a room that reuses
+// an old id does not inherit its chat.
+const MEMORY_LIMIT_PER_ROOM = 1000;
+// How far back a resent message is recognised as a duplicate
+const DEDUP_WINDOW = 500;
+
+const findRecent = (messages, from, clientId) => {
+  for (let i = messages.length - 1; i >= Math.max(0, messages.length - DEDUP_WINDOW); i -= 1) {
+    if (messages[i].from === from && messages[i].clientId === clientId) return messages[i];
+  }
+  return null;
+};
+
+const isVisibleTo = (message, viewer) => !message.to || message.to === viewer || message.from === viewer;
+
+const page = (allMessages, { before, limit, viewer }) => {
+  const messages = allMessages.filter((msg) => isVisibleTo(msg, viewer));
+  const end = before ? messages.findIndex((msg) => msg.id === before) : messages.length;
+  const upTo = end === -1 ? messages.length : end;
+  const start = Math.max(0, upTo - limit);
+  return { messages: messages.slice(start, upTo), hasMore: start > 0 };
+};
+
+const createMemoryStore = () => {
+  const rooms = new Map();
+  return {
+    async append(roomId, message) {
+      const messages = rooms.get(roomId) || [];
+      messages.push(message);
+      rooms.set(roomId, messages.slice(-MEMORY_LIMIT_PER_ROOM));
+      return message;
+    },
+    async list(roomId, options) {
+      return page(rooms.get(roomId) || [], options);
+    },
+    async get(roomId, id) {
+      return (rooms.get(roomId) || []).find((msg) => msg.id === id) || null;
+    },
+    async findByClientId(roomId, from, clientId) {
+      return findRecent(rooms.get(roomId) || [], from, clientId);
+    },
+    async update(roomId, id, changes) {
+      const message = (rooms.get(roomId) || []).find((msg) => msg.id === id);
+      return message ? Object.assign(message, changes) : null;
+    },
+    async evictRoom(roomId) {
+      rooms.delete(roomId);
+    },
+  };
+};
+
+// One JSON-lines file per room. Files are read once and then kept in memory,
+// new messages are appended to both. Changes to a message are appended as
+// `{ "$update": id, ...changes }` records and replayed on load.
+const createFileStore = (directory) => {
+  const cache = new Map();
+  fs.mkdirSync(directory, { recursive: true });
+  const fileFor = (roomId) =>
+    path.join(directory, `${crypto.createHash('sha256').update(roomId).digest('hex')}.jsonl`);
+
+  const load = async (roomId) => {
+    if (cache.has(roomId)) return cache.get(roomId);
+    let messages = [];
+    try {
+      const contents = await fs.promises.readFile(fileFor(roomId), 'utf8');
+      contents.split('\n').filter(Boolean).map((line) => JSON.parse(line)).forEach((record) => {
+        if (!record.$update) {
+          messages.push(record);
+          return;
+        }
+        const { $update: id, ...changes } = record;
+        const message = messages.find((msg) => msg.id === id);
+        if (message) Object.assign(message, changes);
+      });
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    cache.set(roomId, messages);
+    return messages;
+  };
+
+  return {
+    async append(roomId, message) {
+      const messages = await load(roomId);
+      await fs.promises.appendFile(fileFor(roomId), `${JSON.stringify(message)}\n`);
+      messages.push(message);
+      return message;
+    },
+    async list(roomId, options) {
+      return page(await load(roomId), options);
+    },
+    async get(roomId, id) {
+      return (await load(roomId)).find((msg) => msg.id === id) || null;
+    },
+    async findByClientId(roomId, from, clientId) {
+      return findRecent(await load(roomId), from, clientId);
+    },
+    async update(roomId, id, changes) {
+      const message = (await load(roomId)).find((msg) => msg.id === id);
+      if (!message) return null;
+      await fs.promises.appendFile(fileFor(roomId), `${JSON.stringify({ $update: id, ...changes })}\n`);
+      return Object.assign(message, changes);
+    },
+    async evictRoom(roomId) {
+      cache.delete(roomId);
+    },
+  };
+};
+
+const createChatStore = ({ store, directory }) =>
+  (store === 'file' ? createFileStore(directory) : createMemoryStore());
+
+module.exports = { createChatStore, isVisibleTo };
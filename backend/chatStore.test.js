@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createChatStore, isVisibleTo } = require('./chatStore');
+
+const message = (n, extra = {}) => ({ id: `m${n}`, clientId: `c${n}`, from: 'alice', message: `message ${n}`, ...extra });
+
+const fill = async (store, count) => {
+  for (let n = 1; n <= count; n += 1) {
+    await store.append('room', message(n));
+  }
+};
+
+const ids = ({ messages }) => messages.map((msg) => msg.id);
+
+const withDirectory = async (run) => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'chat-store-'));
+  try {
+    await run(directory);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+};
+
+test('history pages back from the newest message, oldest first', async () => {
+  const store = createChatStore({ store: 'memory' });
+  await fill(store, 5);
+
+  const latest = await store.list('room', { limit: 2, viewer: 'bob' });
+  assert.deepEqual(ids(latest), ['m4', 'm5']);
+  assert.equal(latest.hasMore, true);
+
+  const earlier = await store.list('room', { before: 'm4', limit: 2, viewer: 'bob' });
+  assert.deepEqual(ids(earlier), ['m2', 'm3']);
+  assert.equal(earlier.hasMore, true);
+
+  const first = await store.list('room', { before: 'm2', limit: 2, viewer: 'bob' });
+  assert.deepEqual(ids(first), ['m1']);
+  assert.equal(first.hasMore, false);
+
+  assert.deepEqual(ids(await store.list('other', { limit: 2, viewer: 'bob' })), []);
+});
+
+test('direct messages are only listed for their sender and recipient', async () => {
+  const store = createChatStore({ store: 'memory' });
+  await store.append('room', message(1));
+  await store.append('room', message(2, { to: 'bob' }));
+  await store.append('room', message(3));
+
+  assert.deepEqual(ids(await store.list('room', { limit: 10, viewer: 'alice' })), ['m1', 'm2', 'm3']);
+  assert.deepEqual(ids(await store.list('room', { limit: 10, viewer: 'bob' })), ['m1', 'm2', 'm3']);
+  // Paging counts only what the viewer can see
+  const carol = await store.list('room', { limit: 2, viewer: 'carol' });
+  assert.deepEqual(ids(carol), ['m1', 'm3']);
+  assert.equal(carol.hasMore, false);
+
+  assert.ok(isVisibleTo(message(2, { to: 'bob' }), 'alice'));
+  assert.ok(!isVisibleTo(message(2, { to: 'bob' }), 'carol'));
+});
+
+test('a resent message is found by its sender and client id only', async () => {
+  const store = createChatStore({ store: 'memory' });
+  await store.append('room', message(1));
+
+  assert.equal((await store.findByClientId('room', 'alice', 'c1')).id, 'm1');
+  assert.equal(await store.findByClientId('room', 'mallory', 'c1'), null);
+  assert.equal(await store.findByClientId('room', 'alice', 'c2'), null);
+  assert.equal(await store.findByClientId('other', 'alice', 'c1'), null);
+});
+
+test('updates change the stored message', async () => {
+  const store = createChatStore({ store: 'memory' });
+  await store.append('room', message(1));
+  assert.equal((await store.update('room', 'm1', { message: 'edited' })).message, 'edited');
+  assert.equal((await store.get('room', 'm1')).message, 'edited');
+  assert.equal(await store.update('room', 'missing', { message: 'edited' }), null);
+});
+
+test('an evicted room is forgotten by the memory store', async () => {
+  const store = createChatStore({ store: 'memory' });
+  await fill(store, 2);
+  await store.append('other', message(3));
+  await store.evictRoom('room');
+  assert.deepEqual(ids(await store.list('room', { limit: 10, viewer: 'bob' })), []);
+  assert.deepEqual(ids(await store.list('other', { limit: 10, viewer: 'bob' })), ['m3']);
+});
+
+test('the file store keeps messages and their changes across restarts', () => withDirectory(async (directory) => {
+  const store = createChatStore({ store: 'file', directory });
+  await fill(store, 3);
+  await store.update('room', 'm2', { message: '', deleted: true });
+  await store.update('room', 'm3', { reactions: { '👍': ['bob'] } });
+
+  const reopened = createChatStore({ store: 'file', directory });
+  const { messages } = await reopened.list('room', { limit: 10, viewer: 'bob' });
+  assert.deepEqual(messages.map((msg) => msg.id), ['m1', 'm2', 'm3']);
+  assert.equal(messages[1].deleted, true);
+  assert.deepEqual(messages[2].reactions, { '👍': ['bob'] });
+  assert.equal((await reopened.findByClientId('room', 'alice', 'c3')).id, 'm3');
+  assert.deepEqual((await reopened.list('other', { limit: 10, viewer: 'bob' })).messages, []);
+}));
+
+test('the file store reads an evicted room back from its file', () => withDirectory(async (directory) => {
+  const store = createChatStore({ store: 'file', directory });
+  await fill(store, 2);
+  await store.evictRoom('room');
+  assert.deepEqual(ids(await store.list('room', { limit: 10, viewer: 'bob' })), ['m1', 'm2']);
+}));
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+
+// Settings come from an optional JSON file (CONFIG_FILE, or config.json next
+// to this module) with environment variables taking precedence. Everything is
+// validated once at startup so a bad deployment fails fast and says why.
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const CHAT_STORES = ['memory', 'file'];
+const MEDIA_PREFERENCES = ['auto', 'mesh', 'sfu'];
+
+const DEFAULTS = {
+  port: 3000,
+  allowedOrigins: ['http://localhost:3000'],
+  staticPath: path.join(__dirname, '..', 'frontend', 'build'),
+  logLevel: 'info',
+  roomTtlSeconds: 24 * 60 * 60,
+  // How long a participant whose connection dropped keeps their place in a
+  // room, so a reconnecting client resumes instead of joining anew
+  reconnectGraceSeconds: 30,
+  tokenSecret: null,
+  features: {
+    // Joining a room by any id creates it, as it always has. Turn this off
+    // (ALLOW_OPEN_ROOMS=0) to only allow rooms created through the API.
+    openRooms: true,
+  },
+  chat: {
+    store: 'memory',
+    directory: path.join(__dirname, 'data', 'chat'),
+    historyLimit: 50,
+  },
+  // Shared files go peer-to-peer; relayMaxBytes caps what may go through the
+  // server when a peer connection is not up
+  files: {
+    maxBytes: 50 * 1024 * 1024,
+    relayMaxBytes: 10 * 1024 * 1024,
+  },
+  // Meetings recorded by the host. Each participant uploads their own media
+  // in chunks of at most maxChunkBytes.
+  recording: {
+    enabled: true,
+    directory: path.join(__dirname, 'data', 'recordings'),
+    maxChunkBytes: 10 * 1024 * 1024,
+  },
+  // Selective forwarding through mediasoup for larger meetings. Rooms in
+  // 'auto' mode switch to it once they outgrow meshMaxParticipants.
+  sfu: {
+    enabled: false,
+    defaultMode: 'auto',
+    meshMaxParticipants: 4,
+    workers: 1,
+    listenIp: '0.0.0.0',
+    announcedIp: null,
+    rtcMinPort: 40000,
+    rtcMaxPort: 49999,
+  },
+  ice: {
+    stunUrls: ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302', 'stun:stun2.l.google.com:19302'],
+    turnUrls: [],
+    turnSecret: null,
+    turnUsername: null,
+    turnCredential: null,
+    turnTtlSeconds: 3600,
+  },
+};
+
+const list = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+const bool = (value) => ['1', 'true', 'yes', 'on'].includes(value.toLowerCase());
+
+// Environment variable -> [config path, parser]
+const ENV_VARS = {
+  PORT: ['port', Number],
+  ALLOWED_ORIGINS: ['allowedOrigins', list],
+  STATIC_PATH: ['staticPath', String],
+  LOG_LEVEL: ['logLevel', String],
+  ROOM_TTL_SECONDS: ['roomTtlSeconds', Number],
+  RECONNECT_GRACE_SECONDS: ['reconnectGraceSeconds', Number],
+  ROOM_TOKEN_SECRET: ['tokenSecret', String],
+  ALLOW_OPEN_ROOMS: ['features.openRooms', bool],
+  CHAT_STORE: ['chat.store', String],
+  CHAT_DIRECTORY: ['chat.directory', String],
+  CHAT_HISTORY_LIMIT: ['chat.historyLimit', Number],
+  FILE_MAX_BYTES: ['files.maxBytes', Number],
+  FILE_RELAY_MAX_BYTES: ['files.relayMaxBytes', Number],
+  RECORDING_ENABLED: ['recording.enabled', bool],
+  RECORDING_DIRECTORY: ['recording.directory', String],
+  RECORDING_MAX_CHUNK_BYTES: ['recording.maxChunkBytes', Number],
+  SFU_ENABLED: ['sfu.enabled', bool],
+  SFU_DEFAULT_MODE: ['sfu.defaultMode', String],
+  SFU_MESH_MAX_PARTICIPANTS: ['sfu.meshMaxParticipants', Number],
+  SFU_WORKERS: ['sfu.workers', Number],
+  SFU_LISTEN_IP: ['sfu.listenIp', String],
+  SFU_ANNOUNCED_IP: ['sfu.announcedIp', String],
+  SFU_RTC_MIN_PORT: ['sfu.rtcMinPort', Number],
+  SFU_RTC_MAX_PORT: ['sfu.rtcMaxPort', Number],
+  STUN_URLS: ['ice.stunUrls', list],
+  TURN_URLS: ['ice.turnUrls', list],
+  TURN_SECRET: ['ice.turnSecret', String],
+  TURN_USERNAME: ['ice.turnUsername', String],
+  TURN_CREDENTIAL: ['ice.turnCredential', String],
+  TURN_TTL_SECONDS: ['ice.turnTtlSeconds', Number],
+};
+
+const getPath = (target, keyPath) => keyPath.split('.').reduce((node, key) => node[key], target);
+
+const setPath = (target, keyPath, value) => {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  keys.reduce((node, key) => node[key], target)[last] = value;
+};
+
+const readConfigFile = (env) => {
+  const file = env.CONFIG_FILE || path.join(__dirname, 'config.json');
+  if (!fs.existsSync(file)) {
+    if (env.CONFIG_FILE) throw new Error(`CONFIG_FILE ${file} does not exist`);
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${file}: ${err.message}`);
+  }
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isOptionalString = (value) => value === null || typeof value === 'string';
+// stun:, stuns:, turn: and turns: URLs, by list
+const ICE_URL_PATTERNS = { stunUrls: /^stuns?:\S+$/, turnUrls: /^turns?:\S+$/ };
+
+const validate = (config) => {
+  const errors = [];
+  if (!isPositiveInteger(config.port) || config.port > 65535) {
+    errors.push(`port must be an integer between 1 and 65535 (got ${config.port})`);
+  }
+  if (!Array.isArray(config.allowedOrigins) || !config.allowedOrigins.length) {
+    errors.push('allowedOrigins must list at least one origin (or "*")');
+  } else {
+    config.allowedOrigins
+      .filter((origin) => origin !== '*' && !/^https?:\/\/[^/\s]+$/.test(origin))
+      .forEach((origin) => errors.push(`allowedOrigins entry "${origin}" must look like https://host[:port]`));
+  }
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    errors.push(`logLevel must be one of ${LOG_LEVELS.join(', ')} (got ${config.logLevel})`);
+  }
+  if (!isPositiveInteger(config.roomTtlSeconds)) {
+    errors.push('roomTtlSeconds must be a positive integer');
+  }
+  if (!isPositiveInteger(config.reconnectGraceSeconds)) {
+    errors.push('reconnectGraceSeconds must be a positive integer');
+  }
+  if (config.tokenSecret !== null && (typeof config.tokenSecret !== 'string' || config.tokenSecret.length < 16)) {
+    errors.push('tokenSecret (ROOM_TOKEN_SECRET) must be a string of at least 16 characters');
+  }
+  ['staticPath', 'chat.directory', 'recording.directory']
+    .filter((keyPath) => typeof getPath(config, keyPath) !== 'string')
+    .forEach((keyPath) => errors.push(`${keyPath} must be a path`));
+  ['ice.turnSecret', 'ice.turnUsername', 'ice.turnCredential', 'sfu.announcedIp']
+    .filter((keyPath) => !isOptionalString(getPath(config, keyPath)))
+    .forEach((keyPath) => errors.push(`${keyPath} must be a string`));
+  if (typeof config.sfu.listenIp !== 'string') {
+    errors.push('sfu.listenIp must be a string');
+  }
+  if (!CHAT_STORES.includes(config.chat.store)) {
+    errors.push(`chat.store must be one of ${CHAT_STORES.join(', ')} (got ${config.chat.store})`);
+  }
+  if (!isPositiveInteger(config.chat.historyLimit)) {
+    errors.push('chat.historyLimit must be a positive integer');
+  }
+  ['maxBytes', 'relayMaxBytes']
+    .filter((key) => !isPositiveInteger(config.files[key]))
+    .forEach((key) => errors.push(`files.${key} must be a positive integer`));
+  if (!isPositiveInteger(config.recording.maxChunkBytes)) {
+    errors.push('recording.maxChunkBytes must be a positive integer');
+  }
+  if (!MEDIA_PREFERENCES.includes(config.sfu.defaultMode)) {
+    errors.push(`sfu.defaultMode must be one of ${MEDIA_PREFERENCES.join(', ')} (got ${config.sfu.defaultMode})`);
+  }
+  ['meshMaxParticipants', 'workers']
+    .filter((key) => !isPositiveInteger(config.sfu[key]))
+    .forEach((key) => errors.push(`sfu.${key} must be a positive integer`));
+  if (!isPositiveInteger(config.sfu.rtcMinPort) || !isPositiveInteger(config.sfu.rtcMaxPort)
+    || config.sfu.rtcMinPort > config.sfu.rtcMaxPort || config.sfu.rtcMaxPort > 65535) {
+    errors.push('sfu.rtcMinPort and sfu.rtcMaxPort must be a port range within 1-65535');
+  }
+  Object.entries(ICE_URL_PATTERNS)
+    .filter(([key, pattern]) => !Array.isArray(config.ice[key])
+      || !config.ice[key].every((url) => typeof url === 'string' && pattern.test(url)))
+    .forEach(([key]) => errors.push(`ice.${key} must be a list of ${key === 'stunUrls' ? 'stun:' : 'turn:'} URLs`));
+  if (!isPositiveInteger(config.ice.turnTtlSeconds)) {
+    errors.push('ice.turnTtlSeconds must be a positive integer');
+  }
+  if (config.ice.turnUrls?.length && !config.ice.turnSecret && !config.ice.turnUsername) {
+    errors.push('TURN urls are configured but neither TURN_SECRET nor TURN_USERNAME is set');
+  }
+  return errors;
+};
+
+const loadConfig = (env = process.env) => {
+  const file = readConfigFile(env);
+  const config = {
+    ...DEFAULTS,
+    ...file,
+    features: { ...DEFAULTS.features, ...file.features },
+    chat: { ...DEFAULTS.chat, ...file.chat },
+    files: { ...DEFAULTS.files, ...file.files },
+    recording: { ...DEFAULTS.recording, ...file.recording },
+    sfu: { ...DEFAULTS.sfu, ...file.sfu },
+    ice: { ...DEFAULTS.ice, ...file.ice },
+  };
+  Object.entries(ENV_VARS).forEach(([name, [keyPath, parse]]) => {
+    if (env[name] !== undefined) setPath(config, keyPath, parse(env[name]));
+  });
+
+  const errors = validate(config);
+  if (errors.length) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+  // Relative paths are resolved against the backend directory
+  config.staticPath = path.resolve(__dirname, config.staticPath);
+  config.chat.directory = path.resolve(__dirname, config.chat.directory);
+  config.recording.directory = path.resolve(__dirname, config.recording.directory);
+  return Object.freeze(config);
+};
+
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+module.exports = config;
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The settings are loaded once, when the module is first required, and a bad
+// one ends the process. Each case loads them in a process of its own, with
+// only the given environment and config file.
+const loadConfig = (env = {}, file = {}) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  try {
+    const configFile = path.join(directory, 'config.json');
+    fs.writeFileSync(configFile, typeof file === 'string' ? file : JSON.stringify(file));
+    const result = spawnSync(process.execPath, ['-e', `console.log(JSON.stringify(require('./config')))`], {
+      cwd: __dirname,
+      env: { PATH: process.env.PATH, CONFIG_FILE: configFile, ...env },
+      encoding: 'utf8',
+    });
+    return result.status === 0 ? { config: JSON.parse(result.stdout) } : { error: result.stderr };
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+};
+
+test('rooms can be joined by id unless open rooms are turned off', () => {
+  assert.equal(loadConfig().config.features.openRooms, true);
+  assert.equal(loadConfig({ ALLOW_OPEN_ROOMS: '0' }).config.features.openRooms, false);
+  assert.equal(loadConfig({}, { features: { openRooms: false } }).config.features.openRooms, false);
+});
+
+test('environment variables take precedence over the config file', () => {
+  const { config } = loadConfig(
+    { PORT: '5000', ALLOWED_ORIGINS: 'https://a.example.com, https://b.example.com', SFU_ENABLED: 'yes' },
+    { port: 4000, logLevel: 'debug', chat: { historyLimit: 20 } },
+  );
+  assert.equal(config.port, 5000);
+  assert.deepEqual(config.allowedOrigins, ['https://a.example.com', 'https://b.example.com']);
+  assert.equal(config.sfu.enabled, true);
+  assert.equal(config.logLevel, 'debug');
+  // Sections are merged with their defaults, not replaced
+  assert.equal(config.chat.historyLimit, 20);
+  assert.equal(config.chat.store, 'memory');
+});
+
+test('relative paths are taken from the backend directory', () => {
+  const { config } = loadConfig({}, { chat: { directory: './data/chat-test' } });
+  assert.equal(config.chat.directory, path.join(__dirname, 'data', 'chat-test'));
+});
+
+test('every invalid setting is reported and the process stops', () => {
+  const { error } = loadConfig({ PORT: '70000', LOG_LEVEL: 'loud' }, {
+    tokenSecret: 12345678901234567890,
+    ice: { stunUrls: ['http://stun.example.com'], turnUrls: ['turn:turn.example.com'] },
+  });
+  assert.match(error, /Invalid configuration/);
+  assert.match(error, /port must be an integer between 1 and 65535/);
+  assert.match(error, /logLevel must be one of/);
+  assert.match(error, /tokenSecret .* must be a string of at least 16 characters/);
+  assert.match(error, /ice.stunUrls must be a list of stun: URLs/);
+  assert.match(error, /neither TURN_SECRET nor TURN_USERNAME is set/);
+});
+
+test('secrets and addresses must be strings', () => {
+  assert.match(loadConfig({ ROOM_TOKEN_SECRET: 'short' }).error, /tokenSecret/);
+  assert.match(loadConfig({}, { ice: { turnSecret: 42 } }).error, /ice.turnSecret must be a string/);
+  assert.match(loadConfig({}, { sfu: { announcedIp: ['203.0.113.10'] } }).error, /sfu.announcedIp must be a string/);
+  assert.equal(loadConfig({ ROOM_TOKEN_SECRET: 'a'.repeat(16) }).config.tokenSecret, 'a'.repeat(16));
+});
+
+test('a config file that was asked for must exist and parse', () => {
+  assert.match(loadConfig({ CONFIG_FILE: path.join(__dirname, 'missing.json') }).error, /does not exist/);
+  assert.match(loadConfig({}, '{ not json').error, /Could not parse/);
+});
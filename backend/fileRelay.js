@@ -0,0 +1,97 @@
+const { files } = require('./config');
+const { validationError, isObject } = require('./validation');
+
+// Shared files travel as frames: a chunk is a 0 byte, the 16 character
+// transfer id and the file bytes; any other frame is a JSON control message
+// such as { type: 'file-offer', fileId, size }. Frames normally go over the
+// peer data channel, the server only reads the ones it is asked to relay.
+const CHUNK_FRAME = 0;
+const ID_LENGTH = 16;
+const MAX_RELAYED_TRANSFERS = 20;
+// Frames are relayed one acknowledged frame at a time, so a transfer that
+// has been quiet this long has been given up on
+const RELAY_IDLE_MS = 60 * 1000;
+
+const limits = {
+  maxBytes: files.maxBytes,
+  relayMaxBytes: Math.min(files.maxBytes, files.relayMaxBytes),
+};
+
+const parseFrame = (frame) => {
+  if (frame[0] === CHUNK_FRAME) {
+    return {
+      type: 'file-chunk',
+      fileId: frame.toString('utf8', 1, 1 + ID_LENGTH),
+      length: frame.length - 1 - ID_LENGTH,
+    };
+  }
+  try {
+    const message = JSON.parse(frame.toString('utf8'));
+    return isObject(message) ? message : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// One tracker per socket. `check(to, frame)` is called for each frame it
+// relays, so a relayed file can not grow past the size it was offered with.
+// Transfers end with their last frame, when they go quiet, or through
+// `forget(to)` when their recipient leaves; `forget()` drops them all, for
+// when the sender leaves.
+const createRelayTracker = ({ now = Date.now } = {}) => {
+  const transfers = new Map();
+
+  const forget = (to) => {
+    transfers.forEach((transfer, fileId) => {
+      if (to === undefined || transfer.to === to) transfers.delete(fileId);
+    });
+  };
+
+  const check = (to, frame) => {
+    transfers.forEach((transfer, fileId) => {
+      if (now() - transfer.lastFrameAt > RELAY_IDLE_MS) transfers.delete(fileId);
+    });
+    const message = parseFrame(frame);
+    if (!message || typeof message.type !== 'string' || typeof message.fileId !== 'string') {
+      return validationError('INVALID_PAYLOAD', 'Unrecognised file frame');
+    }
+    switch (message.type) {
+      case 'file-offer':
+        if (!Number.isInteger(message.size) || message.size < 0) {
+          return validationError('INVALID_PAYLOAD', 'size must be a whole number of bytes');
+        }
+        if (message.size > limits.relayMaxBytes) {
+          return validationError('PAYLOAD_TOO_LARGE', `Files over ${limits.relayMaxBytes} bytes can not be relayed`);
+        }
+        if (transfers.size >= MAX_RELAYED_TRANSFERS) {
+          return validationError('NOT_ALLOWED', 'Too many files are being relayed at once');
+        }
+        transfers.set(message.fileId, { to, remaining: message.size, lastFrameAt: now() });
+        return null;
+      case 'file-chunk': {
+        const transfer = transfers.get(message.fileId);
+        if (!transfer || transfer.to !== to) {
+          return validationError('INVALID_PAYLOAD', 'Unknown file transfer');
+        }
+        transfer.remaining -= message.length;
+        transfer.lastFrameAt = now();
+        if (transfer.remaining < 0) {
+          transfers.delete(message.fileId);
+          return validationError('PAYLOAD_TOO_LARGE', 'File is larger than offered');
+        }
+        return null;
+      }
+      case 'file-end':
+      case 'file-cancel':
+        transfers.delete(message.fileId);
+        return null;
+      default:
+        // Acknowledgements and other small control messages pass through
+        return null;
+    }
+  };
+
+  return { check, forget };
+};
+
+module.exports = { limits, RELAY_IDLE_MS, createRelayTracker };
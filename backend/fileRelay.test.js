@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { limits, RELAY_IDLE_MS, createRelayTracker } = require('./fileRelay');
+
+const FILE_ID = '0123456789abcdef';
+
+const control = (message) => Buffer.from(JSON.stringify(message));
+const chunk = (fileId, length) => Buffer.concat([Buffer.from([0]), Buffer.from(fileId), Buffer.alloc(length)]);
+const code = (error) => error?.code ?? null;
+const fileId = (n) => `file-${n}`.padEnd(FILE_ID.length, '-');
+
+test('a relayed file may send up to the size it was offered with', () => {
+  const { check } = createRelayTracker();
+  assert.equal(check('bob', control({ type: 'file-offer', fileId: FILE_ID, size: 10 })), null);
+  assert.equal(check('bob', chunk(FILE_ID, 6)), null);
+  assert.equal(check('bob', chunk(FILE_ID, 4)), null);
+  assert.equal(check('bob', control({ type: 'file-end', fileId: FILE_ID })), null);
+  // Done with: further chunks have no transfer to belong to
+  assert.equal(code(check('bob', chunk(FILE_ID, 1))), 'INVALID_PAYLOAD');
+});
+
+test('a relayed file can not grow past its offered size', () => {
+  const { check } = createRelayTracker();
+  check('bob', control({ type: 'file-offer', fileId: FILE_ID, size: 10 }));
+  assert.equal(check('bob', chunk(FILE_ID, 8)), null);
+  assert.equal(code(check('bob', chunk(FILE_ID, 8))), 'PAYLOAD_TOO_LARGE');
+  assert.equal(code(check('bob', chunk(FILE_ID, 1))), 'INVALID_PAYLOAD');
+});
+
+test('chunks only go to the recipient the file was offered to', () => {
+  const { check } = createRelayTracker();
+  check('bob', control({ type: 'file-offer', fileId: FILE_ID, size: 10 }));
+  assert.equal(code(check('carol', chunk(FILE_ID, 1))), 'INVALID_PAYLOAD');
+  assert.equal(code(check('bob', chunk('fedcba9876543210', 1))), 'INVALID_PAYLOAD');
+});
+
+test('offers are checked against the relay limits', () => {
+  const { check } = createRelayTracker();
+  assert.equal(code(check('bob', control({ type: 'file-offer', fileId: FILE_ID, size: limits.relayMaxBytes + 1 }))), 'PAYLOAD_TOO_LARGE');
+  assert.equal(code(check('bob', control({ type: 'file-offer', fileId: FILE_ID, size: -1 }))), 'INVALID_PAYLOAD');
+  assert.equal(code(check('bob', control({ type: 'file-offer', fileId: FILE_ID, size: '10' }))), 'INVALID_PAYLOAD');
+
+  for (let n = 0; n < 20; n += 1) {
+    assert.equal(check('bob', control({ type: 'file-offer', fileId: `file-${n}`, size: 1 })), null);
+  }
+  assert.equal(code(check('bob', control({ type: 'file-offer', fileId: 'one-too-many', size: 1 }))), 'NOT_ALLOWED');
+  // A cancelled transfer frees its place
+  check('bob', control({ type: 'file-cancel', fileId: 'file-0' }));
+  assert.equal(check('bob', control({ type: 'file-offer', fileId: 'one-too-many', size: 1 })), null);
+});
+
+test('trackers are separate per socket', () => {
+  const { check: alice } = createRelayTracker();
+  const { check: mallory } = createRelayTracker();
+  alice('bob', control({ type: 'file-offer', fileId: FILE_ID, size: 10 }));
+  assert.equal(code(mallory('bob', chunk(FILE_ID, 1))), 'INVALID_PAYLOAD');
+});
+
+test('transfers to a participant who left are forgotten', () => {
+  const { check, forget } = createRelayTracker();
+  check('carol', control({ type: 'file-offer', fileId: FILE_ID, size: 10 }));
+  for (let n = 0; n < 19; n += 1) {
+    check('bob', control({ type: 'file-offer', fileId: fileId(n), size: 10 }));
+  }
+  assert.equal(code(check('bob', control({ type: 'file-offer', fileId: 'one-too-many', size: 1 }))), 'NOT_ALLOWED');
+  forget('bob');
+  assert.equal(code(check('bob', chunk(fileId(0), 1))), 'INVALID_PAYLOAD');
+  assert.equal(check('carol', chunk(FILE_ID, 1)), null);
+  assert.equal(check('bob', control({ type: 'file-offer', fileId: 'file-again', size: 1 })), null);
+  // The sender leaving drops everything
+  forget();
+  assert.equal(code(check('carol', chunk(FILE_ID, 1))), 'INVALID_PAYLOAD');
+});
+
+test('transfers that go quiet are given up on', () => {
+  let now = 0;
+  const { check } = createRelayTracker({ now: () => now });
+  for (let n = 0; n < 20; n += 1) {
+    check('bob', control({ type: 'file-offer', fileId: fileId(n), size: 10 }));
+  }
+  now = RELAY_IDLE_MS;
+  // A transfer is kept going by its frames
+  assert.equal(check('bob', chunk(fileId(0), 1)), null);
+  assert.equal(code(check('bob', control({ type: 'file-offer', fileId: 'one-too-many', size: 1 }))), 'NOT_ALLOWED');
+  now += 1;
+  assert.equal(check('bob', control({ type: 'file-offer', fileId: 'one-too-many', size: 1 })), null);
+  assert.equal(code(check('bob', chunk(fileId(1), 1))), 'INVALID_PAYLOAD');
+  assert.equal(check('bob', chunk(fileId(0), 1)), null);
+});
+
+test('frames that are neither chunks nor control messages are refused', () => {
+  const { check } = createRelayTracker();
+  assert.equal(code(check('bob', Buffer.from('not json'))), 'INVALID_PAYLOAD');
+  assert.equal(code(check('bob', control(['file-offer']))), 'INVALID_PAYLOAD');
+  assert.equal(code(check('bob', control({ type: 'file-offer' }))), 'INVALID_PAYLOAD');
+  assert.equal(check('bob', control({ type: 'file-ack', fileId: FILE_ID, ok: true })), null);
+});
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const { ice } = require('./config');
+
+// TURN REST API credentials as understood by coturn's `use-auth-secret`:
+// the username carries its own expiry and the password is an HMAC of it
+const turnCredentials = (secret, ttlSeconds, label) => {
+  const username = `${Math.floor(Date.now() / 1000) + ttlSeconds}:${label}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential };
+};
+
+const buildIceServers = (label = crypto.randomBytes(4).toString('hex')) => {
+  const iceServers = [];
+  if (ice.stunUrls.length) {
+    iceServers.push({ urls: ice.stunUrls });
+  }
+  if (ice.turnUrls.length && ice.turnSecret) {
+    iceServers.push({ urls: ice.turnUrls, ...turnCredentials(ice.turnSecret, ice.turnTtlSeconds, label) });
+  } else if (ice.turnUrls.length) {
+    iceServers.push({ urls: ice.turnUrls, username: ice.turnUsername, credential: ice.turnCredential });
+  }
+  return { iceServers, ttl: ice.turnTtlSeconds };
+};
+
+module.exports = { buildIceServers };
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// Settings are read once, as the config module is first loaded
+process.env.STUN_URLS = 'stun:stun.example.com:3478';
+process.env.TURN_URLS = 'turn:turn.example.com:3478,turns:turn.example.com:5349';
+process.env.TURN_SECRET = 'coturn-shared-secret';
+process.env.TURN_TTL_SECONDS = '600';
+const { buildIceServers } = require('./iceServers');
+
+test('STUN and TURN servers come from the settings', () => {
+  const { iceServers, ttl } = buildIceServers('label');
+  assert.equal(ttl, 600);
+  assert.deepEqual(iceServers[0], { urls: ['stun:stun.example.com:3478'] });
+  assert.deepEqual(iceServers[1].urls, ['turn:turn.example.com:3478', 'turns:turn.example.com:5349']);
+});
+
+test('TURN credentials follow the coturn shared secret scheme', () => {
+  const before = Math.floor(Date.now() / 1000);
+  const { username, credential } = buildIceServers('label').iceServers[1];
+  const [expiry, label] = username.split(':');
+  assert.equal(label, 'label');
+  assert.ok(Number(expiry) >= before + 600 && Number(expiry) <= before + 601);
+  assert.equal(credential, crypto.createHmac('sha1', 'coturn-shared-secret').update(username).digest('base64'));
+});
+
+test('each call gets credentials of its own', () => {
+  const first = buildIceServers().iceServers[1];
+  const second = buildIceServers().iceServers[1];
+  assert.notEqual(first.username, second.username);
+});
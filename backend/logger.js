@@ -0,0 +1,17 @@
+const config = require('./config');
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const CONSOLE_METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'log' };
+
+const threshold = LEVELS.indexOf(config.logLevel);
+
+const logger = Object.fromEntries(
+  LEVELS.map((level, index) => [
+    level,
+    (...args) => {
+      if (index <= threshold) console[CONSOLE_METHODS[level]](...args);
+    },
+  ])
+);
+
+module.exports = logger;
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { validationError } = require('./validation');
+
+// Meeting recordings on disk, a directory per room and one per recording:
+//   <room hash>/<recording id>/metadata.json
+//   <room hash>/<recording id>/<track id>.webm
+// Every participant's browser records its own camera and microphone and
+// uploads the WebM a chunk at a time, in order, so each track file is
+// playable as it grows. A browser that starts over, e.g. after a reload,
+// uploads under a new track id. The metadata says whose track is whose.
+//
+// Chunks still in flight when a recording is stopped are taken for a while
+// longer, so the end of each track is not lost.
+const LATE_CHUNK_GRACE_MS = 60 * 1000;
+// Ids that name files; anything else is never used in a path
+const ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+const createRecordingStore = ({ directory }) => {
+  // Recordings that take uploads, by id
+  const open = new Map();
+  const roomDirectory = (roomId) =>
+    path.join(directory, crypto.createHash('sha256').update(roomId).digest('hex'));
+
+  // Disk writes of a recording run one after the other, so chunks land in
+  // order and metadata.json is never written twice at once
+  const enqueue = (recording, task) => {
+    const result = recording.queue.catch(() => {}).then(task);
+    recording.queue = result;
+    return result;
+  };
+
+  const saveMetadata = (recording) =>
+    fs.promises.writeFile(path.join(recording.directory, 'metadata.json'), JSON.stringify(recording.metadata, null, 2));
+
+  const readMetadata = async (roomId, id) => {
+    if (!ID_PATTERN.test(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(roomDirectory(roomId), id, 'metadata.json'), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return null;
+    }
+  };
+
+  return {
+    // Returns the new recording's metadata right away; the directory is
+    // created before any chunk is written
+    start(roomId, { roomInstance, startedBy }) {
+      const metadata = {
+        id: crypto.randomUUID(),
+        roomId,
+        // Which meeting under this room id it was, for deciding who may see it
+        roomInstance,
+        startedBy,
+        startedAt: new Date().toISOString(),
+        stoppedAt: null,
+        tracks: [],
+      };
+      const recording = {
+        metadata,
+        directory: path.join(roomDirectory(roomId), metadata.id),
+        queue: Promise.resolve(),
+      };
+      open.set(metadata.id, recording);
+      enqueue(recording, async () => {
+        await fs.promises.mkdir(recording.directory, { recursive: true });
+        await saveMetadata(recording);
+      }).catch((err) => logger.error(`Could not create recording ${metadata.id}: ${err.message}`));
+      return metadata;
+    },
+
+    stop(id) {
+      const recording = open.get(id);
+      if (!recording || recording.metadata.stoppedAt) return null;
+      recording.metadata.stoppedAt = new Date().toISOString();
+      enqueue(recording, () => saveMetadata(recording))
+        .catch((err) => logger.error(`Could not save recording ${id}: ${err.message}`));
+      setTimeout(() => open.delete(id), LATE_CHUNK_GRACE_MS).unref();
+      return recording.metadata;
+    },
+
+    hasTrack(id, participantId) {
+      return !!open.get(id)?.metadata.tracks.some((track) => track.participantId === participantId);
+    },
+
+    // Appends chunk number `seq` (from 0) of a track. A chunk that was
+    // already stored, e.g. one resent after a lost response, is ignored.
+    // Resolves to null, or an error when the chunk is not taken.
+    appendChunk(roomId, id, { trackId, participantId, userName, seq, data }) {
+      const recording = open.get(id);
+      if (!recording || recording.metadata.roomId !== roomId) {
+        return Promise.resolve(validationError('NOT_FOUND', 'Recording is not in progress'));
+      }
+      if (!ID_PATTERN.test(trackId)) {
+        return Promise.resolve(validationError('INVALID_PAYLOAD', 'Invalid track id'));
+      }
+      return enqueue(recording, async () => {
+        const { metadata } = recording;
+        let track = metadata.tracks.find((entry) => entry.id === trackId);
+        if (track && track.participantId !== participantId) {
+          return validationError('NOT_ALLOWED', 'That track belongs to someone else');
+        }
+        const expected = track ? track.chunks : 0;
+        if (seq < expected) return null;
+        if (seq > expected) return validationError('OUT_OF_ORDER', `Expected chunk ${expected}`);
+        if (!track) {
+          track = {
+            id: trackId,
+            participantId,
+            userName,
+            file: `${trackId}.webm`,
+            bytes: 0,
+            chunks: 0,
+            startedAt: new Date().toISOString(),
+          };
+          metadata.tracks.push(track);
+        }
+        await fs.promises.appendFile(path.join(recording.directory, track.file), data);
+        track.bytes += data.length;
+        track.chunks += 1;
+        track.updatedAt = new Date().toISOString();
+        await saveMetadata(recording);
+        return null;
+      });
+    },
+
+    // Newest first
+    async list(roomId) {
+      let ids;
+      try {
+        ids = await fs.promises.readdir(roomDirectory(roomId));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        return [];
+      }
+      const recordings = await Promise.all(ids.map((id) => readMetadata(roomId, id)));
+      return recordings.filter(Boolean).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    },
+
+    // Path of a track's file, or null if there is none
+    async trackFile(roomId, id, trackId) {
+      const metadata = await readMetadata(roomId, id);
+      const track = metadata?.tracks.find((entry) => entry.id === trackId);
+      return track ? { metadata, track, file: path.join(roomDirectory(roomId), id, track.file) } : null;
+    },
+  };
+};
+
+module.exports = { createRecordingStore };
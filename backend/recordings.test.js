@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecordingStore } = require('./recordings');
+
+const withStore = async (run) => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'recordings-'));
+  try {
+    await run(createRecordingStore({ directory }));
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+};
+
+const chunk = (seq, text, extra = {}) =>
+  ({ trackId: 'track-1', participantId: 'alice', userName: 'Alice', seq, data: Buffer.from(text), ...extra });
+
+test('chunks are appended to the track file in order', () => withStore(async (store) => {
+  const { id } = store.start('board', { roomInstance: 'first', startedBy: 'alice' });
+  assert.equal(await store.appendChunk('board', id, chunk(0, 'ab')), null);
+  assert.equal(await store.appendChunk('board', id, chunk(1, 'cd')), null);
+  // A resent chunk is taken once; a skipped one is refused
+  assert.equal(await store.appendChunk('board', id, chunk(1, 'cd')), null);
+  assert.equal((await store.appendChunk('board', id, chunk(3, 'gh'))).code, 'OUT_OF_ORDER');
+
+  const { file, track } = await store.trackFile('board', id, 'track-1');
+  assert.equal(await fs.promises.readFile(file, 'utf8'), 'abcd');
+  assert.equal(track.participantId, 'alice');
+  assert.equal(track.bytes, 4);
+  assert.equal(track.chunks, 2);
+  assert.ok(store.hasTrack(id, 'alice'));
+  assert.ok(!store.hasTrack(id, 'bob'));
+}));
+
+test('a track only takes chunks from whoever started it', () => withStore(async (store) => {
+  const { id } = store.start('board', { roomInstance: 'first', startedBy: 'alice' });
+  await store.appendChunk('board', id, chunk(0, 'ab'));
+  assert.equal((await store.appendChunk('board', id, chunk(1, 'xx', { participantId: 'bob' }))).code, 'NOT_ALLOWED');
+  assert.equal((await store.appendChunk('board', id, chunk(0, 'xx', { trackId: '../escape' }))).code, 'INVALID_PAYLOAD');
+  assert.equal((await store.appendChunk('other-room', id, chunk(1, 'cd'))).code, 'NOT_FOUND');
+  assert.equal((await store.appendChunk('board', 'no-such-recording', chunk(0, 'ab'))).code, 'NOT_FOUND');
+}));
+
+test('a stopped recording is listed with its tracks, newest first', () => withStore(async (store) => {
+  const first = store.start('board', { roomInstance: 'first', startedBy: 'alice' });
+  await store.appendChunk('board', first.id, chunk(0, 'ab'));
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const second = store.start('board', { roomInstance: 'first', startedBy: 'bob' });
+  store.start('elsewhere', { roomInstance: 'other', startedBy: 'carol' });
+
+  assert.ok(store.stop(first.id).stoppedAt);
+  assert.equal(store.stop(first.id), null);
+  await store.appendChunk('board', first.id, chunk(1, 'cd'));
+
+  const listed = await store.list('board');
+  assert.deepEqual(listed.map((recording) => recording.id), [second.id, first.id]);
+  assert.ok(listed[1].stoppedAt);
+  // Chunks still in flight when it stopped are kept
+  assert.equal(listed[1].tracks[0].chunks, 2);
+  assert.deepEqual(await store.list('nowhere'), []);
+}));
+
+test('track files are only found under their own room and recording', () => withStore(async (store) => {
+  const { id } = store.start('board', { roomInstance: 'first', startedBy: 'alice' });
+  await store.appendChunk('board', id, chunk(0, 'ab'));
+  assert.equal(await store.trackFile('other-room', id, 'track-1'), null);
+  assert.equal(await store.trackFile('board', id, 'track-2'), null);
+  assert.equal(await store.trackFile('board', '../..', 'track-1'), null);
+}));
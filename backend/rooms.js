@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+
+// In-memory registry of active rooms and who is in them, keyed by participant id.
+const rooms = new Map();
+
+// Called with each room as it leaves the registry, so whatever is kept per
+// room instance elsewhere can go with it
+const removedListeners = [];
+
+const onRoomRemoved = (listener) => {
+  removedListeners.push(listener);
+};
+
+const removeRoom = (room) => {
+  rooms.delete(room.id);
+  removedListeners.forEach((listener) => listener(room));
+};
+
+const isExpired = (room) => room.expiresAt && Date.parse(room.expiresAt) <= Date.now();
+
+const getRoom = (roomId) => {
+  const room = rooms.get(roomId);
+  if (room && isExpired(room) && room.participants.size === 0) {
+    removeRoom(room);
+    return undefined;
+  }
+  return room;
+};
+
+// Rooms created through the API carry access rules and outlive their
+// participants until they expire; ad hoc rooms are removed once empty.
+const createRoom = (roomId, { access = null, expiresAt = null, lobby = false, mediaPreference = 'auto' } = {}) => {
+  const room = {
+    id: roomId,
+    // Tells this room apart from any earlier one that had the same id
+    instanceId: crypto.randomUUID(),
+    participants: new Map(),
+    // Joiners held in the lobby until the host admits them
+    waiting: new Map(),
+    access,
+    hostId: null,
+    locked: false,
+    lobby,
+    // 'auto', 'mesh' or 'sfu' as asked for at creation; mediaMode is what
+    // the room currently uses
+    mediaPreference,
+    mediaMode: 'mesh',
+    // { presenterId, streamId } while someone shares their screen; one at a time
+    presentation: null,
+    // { id, startedAt, startedBy } while the host records the meeting
+    recording: null,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+  };
+  rooms.set(roomId, room);
+  return room;
+};
+
+const addParticipant = (roomId, { id, userName, media }) => {
+  const room = getRoom(roomId) || createRoom(roomId);
+  const existing = room.participants.get(id);
+  const participant = {
+    id,
+    userName,
+    media: { audio: true, video: true, ...existing?.media, ...media },
+    joinedAt: existing?.joinedAt || new Date().toISOString(),
+  };
+  room.participants.set(id, participant);
+  return participant;
+};
+
+const removeParticipant = (roomId, id) => {
+  const room = getRoom(roomId);
+  if (!room) return null;
+  const participant = room.participants.get(id) || null;
+  room.participants.delete(id);
+  if (room.presentation?.presenterId === id) {
+    room.presentation = null;
+  }
+  // Hand the host role to whoever has been in the room longest
+  if (room.hostId === id) {
+    room.hostId = room.participants.keys().next().value || null;
+  }
+  return participant;
+};
+
+const setHost = (roomId, id) => {
+  const room = getRoom(roomId);
+  if (!room || !room.participants.has(id)) return false;
+  room.hostId = id;
+  return true;
+};
+
+const isHost = (roomId, id) => getRoom(roomId)?.hostId === id;
+
+const setLocked = (roomId, locked) => {
+  const room = getRoom(roomId);
+  if (room) room.locked = locked;
+};
+
+const setMediaMode = (roomId, mode) => {
+  const room = getRoom(roomId);
+  if (room) room.mediaMode = mode;
+};
+
+const setPresentation = (roomId, presentation) => {
+  const room = getRoom(roomId);
+  if (room) room.presentation = presentation;
+};
+
+const setRecording = (roomId, recording) => {
+  const room = getRoom(roomId);
+  if (room) room.recording = recording;
+};
+
+const isPresenting = (roomId, id) => getRoom(roomId)?.presentation?.presenterId === id;
+
+const updateMedia = (roomId, id, media) => {
+  const participant = getParticipant(roomId, id);
+  if (!participant) return null;
+  participant.media = { ...participant.media, ...media };
+  return participant;
+};
+
+const deleteRoomIfEmpty = (roomId) => {
+  const room = getRoom(roomId);
+  if (room && room.participants.size === 0 && room.waiting.size === 0 && (!room.expiresAt || isExpired(room))) {
+    removeRoom(room);
+    return true;
+  }
+  return false;
+};
+
+const addWaiting = (roomId, { id, userName, media }) => {
+  const room = getRoom(roomId);
+  const entry = { id, userName, media, requestedAt: new Date().toISOString() };
+  room.waiting.set(id, entry);
+  return entry;
+};
+
+const removeWaiting = (roomId, id) => {
+  const room = getRoom(roomId);
+  if (!room) return null;
+  const entry = room.waiting.get(id) || null;
+  room.waiting.delete(id);
+  return entry;
+};
+
+const getWaiting = (roomId) => {
+  const room = getRoom(roomId);
+  return room ? [...room.waiting.values()] : [];
+};
+
+const setLobby = (roomId, lobby) => {
+  const room = getRoom(roomId);
+  if (room) room.lobby = lobby;
+};
+
+const getParticipant = (roomId, id) => getRoom(roomId)?.participants.get(id) || null;
+
+const getRoster = (roomId) => {
+  const room = getRoom(roomId);
+  return room ? [...room.participants.values()] : [];
+};
+
+// Rooms the participant is in or waiting to be admitted to
+const getRoomsForParticipant = (id) =>
+  [...rooms.values()]
+    .filter((room) => room.participants.has(id) || room.waiting.has(id))
+    .map((room) => room.id);
+
+const sharesRoom = (a, b) =>
+  [...rooms.values()].some((room) => room.participants.has(a) && room.participants.has(b));
+
+const serializeRoom = (room) => ({
+  roomId: room.id,
+  createdAt: room.createdAt,
+  expiresAt: room.expiresAt,
+  hostId: room.hostId,
+  locked: room.locked,
+  lobby: room.lobby,
+  media: { preference: room.mediaPreference, mode: room.mediaMode },
+  presentation: room.presentation,
+  recording: room.recording,
+  waiting: room.waiting.size,
+  access: {
+    passwordProtected: !!room.access?.passwordHash,
+    inviteOnly: !!room.access?.inviteOnly,
+  },
+  participants: [...room.participants.values()],
+});
+
+module.exports = {
+  getRoom,
+  createRoom,
+  addParticipant,
+  removeParticipant,
+  deleteRoomIfEmpty,
+  onRoomRemoved,
+  setHost,
+  isHost,
+  setLocked,
+  setMediaMode,
+  setPresentation,
+  isPresenting,
+  setRecording,
+  updateMedia,
+  addWaiting,
+  removeWaiting,
+  getWaiting,
+  setLobby,
+  getParticipant,
+  getRoster,
+  getRoomsForParticipant,
+  sharesRoom,
+  serializeRoom,
+};
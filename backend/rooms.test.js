@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rooms = require('./rooms');
+
+// The registry is shared by the whole process, so every test uses rooms of
+// its own
+const removed = [];
+rooms.onRoomRemoved((room) => removed.push(room.instanceId));
+
+test('an ad hoc room is removed once its last participant leaves', () => {
+  rooms.addParticipant('removed-adhoc', { id: 'alice', userName: 'Alice' });
+  const { instanceId } = rooms.getRoom('removed-adhoc');
+  rooms.removeParticipant('removed-adhoc', 'alice');
+  assert.ok(rooms.deleteRoomIfEmpty('removed-adhoc'));
+  assert.equal(rooms.getRoom('removed-adhoc'), undefined);
+  assert.ok(removed.includes(instanceId));
+});
+
+test('a created room outlives its participants until it expires', () => {
+  const room = rooms.createRoom('removed-created', { expiresAt: new Date(Date.now() + 60000).toISOString() });
+  rooms.addParticipant('removed-created', { id: 'alice', userName: 'Alice' });
+  rooms.removeParticipant('removed-created', 'alice');
+  assert.ok(!rooms.deleteRoomIfEmpty('removed-created'));
+  assert.equal(rooms.getRoom('removed-created'), room);
+  assert.ok(!removed.includes(room.instanceId));
+
+  room.expiresAt = new Date(Date.now() - 1).toISOString();
+  assert.equal(rooms.getRoom('removed-created'), undefined);
+  assert.ok(removed.includes(room.instanceId));
+});
+
+test('a room that reuses an id is a new instance', () => {
+  const first = rooms.createRoom('reused');
+  rooms.deleteRoomIfEmpty('reused');
+  const second = rooms.createRoom('reused');
+  assert.notEqual(second.instanceId, first.instanceId);
+  rooms.deleteRoomIfEmpty('reused');
+});
+
+test('the roster lists who is in a room, in the order they joined', () => {
+  rooms.addParticipant('roster', { id: 'alice', userName: 'Alice' });
+  rooms.addParticipant('roster', { id: 'bob', userName: 'Bob', media: { video: false } });
+  assert.deepEqual(rooms.getRoster('roster').map((p) => p.id), ['alice', 'bob']);
+  assert.deepEqual(rooms.getParticipant('roster', 'bob').media, { audio: true, video: false });
+  assert.equal(rooms.getParticipant('roster', 'carol'), null);
+  assert.deepEqual(rooms.getRoster('nowhere'), []);
+
+  rooms.removeParticipant('roster', 'alice');
+  assert.deepEqual(rooms.getRoster('roster').map((p) => p.userName), ['Bob']);
+  rooms.removeParticipant('roster', 'bob');
+  rooms.deleteRoomIfEmpty('roster');
+});
+
+test('joining again keeps the time someone first joined', () => {
+  const { joinedAt } = rooms.addParticipant('rejoin', { id: 'alice', userName: 'Alice' });
+  const again = rooms.addParticipant('rejoin', { id: 'alice', userName: 'Alice B.' });
+  assert.equal(again.joinedAt, joinedAt);
+  assert.equal(again.userName, 'Alice B.');
+  assert.equal(rooms.getRoster('rejoin').length, 1);
+  rooms.removeParticipant('rejoin', 'alice');
+  rooms.deleteRoomIfEmpty('rejoin');
+});
+
+test('a room snapshot has its participants and settings but no secrets', () => {
+  const room = rooms.createRoom('snapshot', { access: { passwordHash: 'hash', inviteOnly: false } });
+  rooms.addParticipant('snapshot', { id: 'alice', userName: 'Alice' });
+  const snapshot = rooms.serializeRoom(room);
+  assert.equal(snapshot.roomId, 'snapshot');
+  assert.deepEqual(snapshot.participants.map((p) => p.id), ['alice']);
+  assert.deepEqual(snapshot.access, { passwordProtected: true, inviteOnly: false });
+  assert.ok(!JSON.stringify(snapshot).includes('hash'));
+  assert.equal(snapshot.instanceId, undefined);
+  rooms.removeParticipant('snapshot', 'alice');
+  rooms.deleteRoomIfEmpty('snapshot');
+});
+
+test('leaving one room keeps someone in their others', () => {
+  rooms.addParticipant('left-a', { id: 'alice', userName: 'Alice' });
+  rooms.addParticipant('left-b', { id: 'alice', userName: 'Alice' });
+  rooms.addParticipant('left-b', { id: 'bob', userName: 'Bob' });
+  assert.deepEqual(rooms.getRoomsForParticipant('alice').filter((id) => id.startsWith('left-')), ['left-a', 'left-b']);
+
+  assert.equal(rooms.removeParticipant('left-b', 'alice').id, 'alice');
+  assert.equal(rooms.removeParticipant('left-b', 'alice'), null);
+  assert.deepEqual(rooms.getRoomsForParticipant('alice').filter((id) => id.startsWith('left-')), ['left-a']);
+  // Someone is still in the room, so it stays
+  assert.ok(!rooms.deleteRoomIfEmpty('left-b'));
+
+  rooms.removeParticipant('left-a', 'alice');
+  rooms.removeParticipant('left-b', 'bob');
+  assert.ok(rooms.deleteRoomIfEmpty('left-a'));
+  assert.ok(rooms.deleteRoomIfEmpty('left-b'));
+  assert.deepEqual(rooms.getRoomsForParticipant('alice').filter((id) => id.startsWith('left-')), []);
+});
+
+test('participants only share the rooms they are both in', () => {
+  rooms.addParticipant('share-a', { id: 'alice', userName: 'Alice' });
+  rooms.addParticipant('share-a', { id: 'bob', userName: 'Bob' });
+  rooms.addParticipant('share-b', { id: 'carol', userName: 'Carol' });
+  assert.ok(rooms.sharesRoom('alice', 'bob'));
+  assert.ok(!rooms.sharesRoom('alice', 'carol'));
+  rooms.removeParticipant('share-a', 'bob');
+  assert.ok(!rooms.sharesRoom('alice', 'bob'));
+  ['alice', 'carol'].forEach((id) => rooms.getRoomsForParticipant(id).forEach((roomId) => {
+    rooms.removeParticipant(roomId, id);
+    rooms.deleteRoomIfEmpty(roomId);
+  }));
+});
+
+test('the host role goes to whoever has been in the room longest when the host leaves', () => {
+  ['alice', 'bob', 'carol'].forEach((id) => rooms.addParticipant('hosted', { id, userName: id }));
+  assert.ok(rooms.setHost('hosted', 'alice'));
+  assert.ok(rooms.isHost('hosted', 'alice'));
+  assert.ok(!rooms.isHost('hosted', 'bob'));
+
+  rooms.removeParticipant('hosted', 'alice');
+  assert.equal(rooms.getRoom('hosted').hostId, 'bob');
+  // Anyone else leaving does not change the host
+  rooms.removeParticipant('hosted', 'carol');
+  assert.equal(rooms.getRoom('hosted').hostId, 'bob');
+  rooms.removeParticipant('hosted', 'bob');
+  assert.equal(rooms.getRoom('hosted').hostId, null);
+  rooms.deleteRoomIfEmpty('hosted');
+});
+
+test('the host role can only be given to a participant', () => {
+  rooms.addParticipant('transfer', { id: 'alice', userName: 'Alice' });
+  rooms.addParticipant('transfer', { id: 'bob', userName: 'Bob' });
+  rooms.setHost('transfer', 'alice');
+  assert.ok(!rooms.setHost('transfer', 'mallory'));
+  assert.ok(!rooms.setHost('nowhere', 'alice'));
+  assert.ok(rooms.isHost('transfer', 'alice'));
+  assert.ok(rooms.setHost('transfer', 'bob'));
+  assert.ok(rooms.isHost('transfer', 'bob'));
+  assert.ok(!rooms.isHost('transfer', 'alice'));
+  ['alice', 'bob'].forEach((id) => rooms.removeParticipant('transfer', id));
+  rooms.deleteRoomIfEmpty('transfer');
+});
+
+test('a room can be locked and unlocked', () => {
+  rooms.addParticipant('lockable', { id: 'alice', userName: 'Alice' });
+  assert.equal(rooms.getRoom('lockable').locked, false);
+  rooms.setLocked('lockable', true);
+  assert.equal(rooms.serializeRoom(rooms.getRoom('lockable')).locked, true);
+  rooms.setLocked('lockable', false);
+  assert.equal(rooms.getRoom('lockable').locked, false);
+  rooms.removeParticipant('lockable', 'alice');
+  rooms.deleteRoomIfEmpty('lockable');
+});
+
+test('the lobby holds joiners until they are let in or turned away', () => {
+  rooms.createRoom('lobby', { lobby: true });
+  rooms.addParticipant('lobby', { id: 'host', userName: 'Host' });
+  rooms.addWaiting('lobby', { id: 'alice', userName: 'Alice', media: { audio: true, video: false } });
+  rooms.addWaiting('lobby', { id: 'bob', userName: 'Bob' });
+  assert.deepEqual(rooms.getWaiting('lobby').map((entry) => entry.id), ['alice', 'bob']);
+  assert.equal(rooms.serializeRoom(rooms.getRoom('lobby')).waiting, 2);
+  // Waiting is not being in the room
+  assert.equal(rooms.getParticipant('lobby', 'alice'), null);
+  assert.ok(!rooms.sharesRoom('host', 'alice'));
+  assert.ok(rooms.getRoomsForParticipant('alice').includes('lobby'));
+
+  assert.deepEqual(rooms.removeWaiting('lobby', 'alice').media, { audio: true, video: false });
+  assert.equal(rooms.removeWaiting('lobby', 'alice'), null);
+  assert.deepEqual(rooms.getWaiting('lobby').map((entry) => entry.id), ['bob']);
+  assert.deepEqual(rooms.getWaiting('nowhere'), []);
+
+  rooms.setLobby('lobby', false);
+  assert.equal(rooms.getRoom('lobby').lobby, false);
+  rooms.removeParticipant('lobby', 'host');
+  // Someone still waiting keeps the room
+  assert.ok(!rooms.deleteRoomIfEmpty('lobby'));
+  rooms.removeWaiting('lobby', 'bob');
+  assert.ok(rooms.deleteRoomIfEmpty('lobby'));
+});
+
+test('a presentation belongs to its presenter and ends when they leave', () => {
+  rooms.addParticipant('presented', { id: 'alice', userName: 'Alice' });
+  rooms.addParticipant('presented', { id: 'bob', userName: 'Bob' });
+  rooms.setPresentation('presented', { presenterId: 'alice', streamId: 'screen' });
+  assert.ok(rooms.isPresenting('presented', 'alice'));
+  assert.ok(!rooms.isPresenting('presented', 'bob'));
+  assert.deepEqual(rooms.serializeRoom(rooms.getRoom('presented')).presentation,
+    { presenterId: 'alice', streamId: 'screen' });
+
+  // Someone else leaving does not end it
+  rooms.removeParticipant('presented', 'bob');
+  assert.ok(rooms.isPresenting('presented', 'alice'));
+  rooms.removeParticipant('presented', 'alice');
+  assert.equal(rooms.getRoom('presented').presentation, null);
+  rooms.deleteRoomIfEmpty('presented');
+});
+
+test('media state changes one kind at a time and survives a rejoin', () => {
+  rooms.addParticipant('muted', { id: 'alice', userName: 'Alice' });
+  assert.deepEqual(rooms.updateMedia('muted', 'alice', { audio: false }).media, { audio: false, video: true });
+  assert.deepEqual(rooms.updateMedia('muted', 'alice', { video: false }).media, { audio: false, video: false });
+  assert.equal(rooms.updateMedia('muted', 'bob', { audio: false }), null);
+  assert.equal(rooms.updateMedia('nowhere', 'alice', { audio: false }), null);
+
+  // Reconnecting without saying does not turn anything back on
+  rooms.addParticipant('muted', { id: 'alice', userName: 'Alice' });
+  assert.deepEqual(rooms.getParticipant('muted', 'alice').media, { audio: false, video: false });
+  assert.deepEqual(rooms.serializeRoom(rooms.getRoom('muted')).participants[0].media, { audio: false, video: false });
+  rooms.removeParticipant('muted', 'alice');
+  rooms.deleteRoomIfEmpty('muted');
+});
@@ -1,81 +1,866 @@
+const config = require('./config');
+const logger = require('./logger');
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const rooms = require('./rooms');
+const validation = require('./validation');
+const auth = require('./auth');
+const { buildIceServers } = require('./iceServers');
+const { createChatStore, isVisibleTo } = require('./chatStore');
+const { createRecordingStore } = require('./recordings');
+const fileRelay = require('./fileRelay');
+const sfu = require('./sfu');
 
 const app = express();
 const server = http.createServer(app);
 
 // Serve static files from the React frontend build folder
-app.use(express.static(path.join(__dirname, '..', 'frontend', 'build')));
+app.use(express.static(config.staticPath));
 
-// CORS configuration
-app.use(cors({
-  origin: ['https://livemeet-ribm.onrender.com'],
+// CORS configuration, shared by the HTTP API and Socket.IO
+const corsOptions = {
+  origin: config.allowedOrigins.includes('*') ? true : config.allowedOrigins,
   methods: ['GET', 'POST'],
   credentials: true,
   allowedHeaders: ['Content-Type', 'Authorization']
-}));
+};
+app.use(cors(corsOptions));
+app.use(express.json());
 
-const io = new Server(server, {
-  cors: {
-    origin: ['https://livemeet-ribm.onrender.com'],
-    methods: ['GET', 'POST'],
-    credentials: true,
-    allowedHeaders: ['Content-Type', 'Authorization']
-  }
-});
+const io = new Server(server, { cors: corsOptions });
+const chatStore = createChatStore(config.chat);
+const recordings = createRecordingStore(config.recording);
 
 // Test endpoints (place below static file serving)
 app.get('/test', (req, res) => res.send('Server is running'));
 
+// Create a room, optionally password-protected or invite-only
+app.post('/api/rooms', (req, res) => {
+  const {
+    roomId = crypto.randomBytes(5).toString('hex'),
+    password,
+    inviteOnly = false,
+    lobby = false,
+    mediaMode = config.sfu.defaultMode,
+  } = req.body || {};
+  const error = validation.checkString(roomId, 'roomId', validation.LIMITS.roomId)
+    || (password !== undefined && password !== '' && validation.checkString(password, 'password', validation.LIMITS.password))
+    || (!['auto', 'mesh', 'sfu'].includes(mediaMode) && validation.validationError('INVALID_PAYLOAD', 'mediaMode must be auto, mesh or sfu'))
+    || (mediaMode === 'sfu' && !config.sfu.enabled && validation.validationError('NOT_ALLOWED', 'SFU mode is not enabled on this server'));
+  if (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  if (rooms.getRoom(roomId)) {
+    return res.status(409).json({ error: 'Room already exists', code: 'ROOM_EXISTS' });
+  }
+
+  const expiresAt = new Date(Date.now() + config.roomTtlSeconds * 1000).toISOString();
+  const room = rooms.createRoom(roomId, {
+    access: { passwordHash: password ? auth.hashPassword(password) : null, inviteOnly: !!inviteOnly },
+    expiresAt,
+    lobby: !!lobby,
+    mediaPreference: mediaMode,
+  });
+  const inviteToken = auth.signToken({ roomId, instance: room.instanceId, role: 'guest' }, config.roomTtlSeconds);
+  // The creator joins with the host token and keeps the invite token to share
+  const hostToken = auth.signToken({ roomId, instance: room.instanceId, role: 'host' }, config.roomTtlSeconds);
+  logger.info(`Room ${roomId} created (password: ${!!password}, invite-only: ${!!inviteOnly}, lobby: ${!!lobby}, media: ${mediaMode})`);
+  res.status(201).json({
+    ...rooms.serializeRoom(room),
+    inviteToken,
+    hostToken,
+    invitePath: `/r/${encodeURIComponent(roomId)}?token=${inviteToken}`,
+  });
+});
+
+const requestToken = (req) => req.get('Authorization')?.replace(/^Bearer /, '');
+
+// ICE servers for peer connections, with short-lived TURN credentials. Only
+// for participants who are in a room, so the TURN server is not open to
+// anyone who connects. Participants get them when they enter a room and come
+// here to refresh them.
+app.get('/api/ice-servers', (req, res) => {
+  const participantId = auth.verifyToken(requestToken(req))?.participantId;
+  if (typeof participantId !== 'string') {
+    return res.status(401).json({ error: 'Session token required' });
+  }
+  if (!rooms.getRoomsForParticipant(participantId).some((roomId) => rooms.getParticipant(roomId, participantId))) {
+    return res.status(403).json({ error: 'You are not in a room', code: 'NOT_IN_ROOM' });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json(buildIceServers());
+});
+
+// Current participants of a room, for dashboards. Who is in a room with a
+// password or invites is only shown to its host and its participants.
+app.get('/api/rooms/:roomId', (req, res) => {
+  const room = rooms.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  const token = requestToken(req);
+  const isProtected = !!(room.access?.passwordHash || room.access?.inviteOnly);
+  if (isProtected && !auth.isHostToken(token, room) && !room.participants.has(auth.verifyToken(token)?.participantId)) {
+    return res.status(403).json({ error: 'Only the host and participants can see this room', code: 'NOT_ALLOWED' });
+  }
+  res.json(rooms.serializeRoom(room));
+});
+
+// A recording is for whoever started it, and for the host of the meeting it
+// was made in: the room creator's host token or the session token of whoever
+// hosts that same room now. A later room with the same id has no claim on it.
+const canManageRecording = (token, metadata) => {
+  const room = rooms.getRoom(metadata.roomId);
+  const participantId = auth.verifyToken(token)?.participantId;
+  return (!!participantId && participantId === metadata.startedBy)
+    || auth.isHostToken(token, { id: metadata.roomId, instanceId: metadata.roomInstance })
+    || (room?.instanceId === metadata.roomInstance && !!room.hostId && participantId === room.hostId);
+};
+
+// Download links cannot carry a header, so each track in a listing comes with
+// a token of its own that is good for that file only, and not for long
+const DOWNLOAD_TOKEN_TTL_SECONDS = 10 * 60;
+const downloadGrant = (recordingId, trackId) => `${recordingId}/${trackId}`;
+
+const recordingStatus = { NOT_FOUND: 404, NOT_ALLOWED: 403, OUT_OF_ORDER: 409 };
+
+// Each participant's browser uploads its own part of a recording here, one
+// chunk at a time, signed in with its session token
+app.post(
+  '/api/rooms/:roomId/recordings/:recordingId/chunks',
+  express.raw({ type: ['video/webm', 'audio/webm'], limit: config.recording.maxChunkBytes }),
+  async (req, res) => {
+    const { roomId, recordingId } = req.params;
+    const participantId = auth.verifyToken(requestToken(req))?.participantId;
+    if (typeof participantId !== 'string') {
+      return res.status(401).json({ error: 'Session token required' });
+    }
+    const participant = rooms.getParticipant(roomId, participantId);
+    // Someone who has just left may still be sending their last chunk
+    if (!participant && !recordings.hasTrack(recordingId, participantId)) {
+      return res.status(403).json({ error: 'You are not in this room', code: 'NOT_IN_ROOM' });
+    }
+    const seq = Number(req.query.seq);
+    if (!Number.isInteger(seq) || seq < 0 || typeof req.query.track !== 'string'
+      || !Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ error: 'Expected a WebM chunk with its track and sequence number', code: 'INVALID_PAYLOAD' });
+    }
+    try {
+      const error = await recordings.appendChunk(roomId, recordingId, {
+        trackId: req.query.track,
+        participantId,
+        userName: participant?.userName,
+        seq,
+        data: req.body,
+      });
+      if (error) {
+        return res.status(recordingStatus[error.code] || 400).json({ error: error.message, code: error.code });
+      }
+      res.json({ ok: true });
+    } catch (err) {
+      logger.error(`Could not store recording chunk for ${recordingId}: ${err.message}`);
+      res.status(500).json({ error: 'Chunk could not be saved', code: 'STORE_FAILED' });
+    }
+  },
+);
+
+app.get('/api/rooms/:roomId/recordings', async (req, res) => {
+  const token = requestToken(req);
+  if (!auth.verifyToken(token)) {
+    return res.status(401).json({ error: 'Session token required' });
+  }
+  try {
+    const found = (await recordings.list(req.params.roomId)).filter((metadata) => canManageRecording(token, metadata));
+    res.json({
+      recordings: found.map((metadata) => ({
+        ...metadata,
+        tracks: metadata.tracks.map((track) => ({
+          ...track,
+          downloadToken: auth.signToken({ download: downloadGrant(metadata.id, track.id) }, DOWNLOAD_TOKEN_TTL_SECONDS),
+        })),
+      })),
+    });
+  } catch (err) {
+    logger.error(`Could not list recordings of ${req.params.roomId}: ${err.message}`);
+    res.status(500).json({ error: 'Recordings are unavailable' });
+  }
+});
+
+// Callers are checked before anything is looked up, and told the same
+// whether or not the recording exists, so the route can not be used to find
+// out which recordings there are
+app.get('/api/rooms/:roomId/recordings/:recordingId/tracks/:trackId', async (req, res) => {
+  const { roomId, recordingId, trackId } = req.params;
+  const notAllowed = () => res.status(403).json({ error: 'You can not download this recording', code: 'NOT_ALLOWED' });
+  const hasGrant = auth.verifyToken(req.query.token)?.download === downloadGrant(recordingId, trackId);
+  const token = requestToken(req);
+  if (!hasGrant && !auth.verifyToken(token)) {
+    return notAllowed();
+  }
+  try {
+    const found = await recordings.trackFile(roomId, recordingId, trackId);
+    if (!found || (!hasGrant && !canManageRecording(token, found.metadata))) {
+      return notAllowed();
+    }
+    const name = `${roomId}-${found.metadata.startedAt}-${found.track.userName || found.track.participantId}.webm`
+      .replace(/[^\w.-]+/g, '_');
+    res.download(found.file, name);
+  } catch (err) {
+    logger.error(`Could not read recording ${recordingId}: ${err.message}`);
+    res.status(500).json({ error: 'Recording is unavailable' });
+  }
+});
+
 // Handle all other routes with React's index.html
 app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, '..', 'frontend', 'build', 'index.html'));
+  res.sendFile(path.join(config.staticPath, 'index.html'));
+});
+
+// Meeting rooms and each participant's own channel are both Socket.IO rooms.
+// They are prefixed so that no room id can ever name a participant.
+const roomChannel = (roomId) => `room:${roomId}`;
+const peerChannel = (id) => `peer:${id}`;
+
+// Keep the host's view of the lobby current
+const notifyLobby = (roomId) => {
+  const room = rooms.getRoom(roomId);
+  if (room?.hostId) {
+    io.to(peerChannel(room.hostId)).emit('lobby-updated', rooms.getWaiting(roomId));
+  }
+};
+
+// Participants are known by an id that outlives their socket. This is the
+// live socket of each one.
+const connections = new Map();
+// Participants whose connection dropped keep their place for a grace period,
+// so a client that reconnects in time resumes instead of joining anew
+const pendingLeaves = new Map();
+
+const cancelLeave = (id, roomId) => {
+  const key = `${roomId}:${id}`;
+  clearTimeout(pendingLeaves.get(key));
+  pendingLeaves.delete(key);
+};
+
+const leaveRoom = (id, roomId) => {
+  cancelLeave(id, roomId);
+  io.in(peerChannel(id)).socketsLeave(roomChannel(roomId));
+  if (rooms.removeWaiting(roomId, id)) {
+    notifyLobby(roomId);
+    rooms.deleteRoomIfEmpty(roomId);
+    return;
+  }
+  const wasHost = rooms.isHost(roomId, id);
+  const wasPresenting = rooms.isPresenting(roomId, id);
+  // Kept from before the removal: an expired room leaves the registry as soon
+  // as it is empty
+  const room = rooms.getRoom(roomId);
+  sfu.closePeer(roomId, id);
+  if (!rooms.removeParticipant(roomId, id)) return;
+  // Files relayed to or from whoever left will not be finished
+  connections.forEach((socket, participantId) => {
+    socket.data.relayTracker.forget(participantId === id ? undefined : id);
+  });
+  io.to(roomChannel(roomId)).emit('user-left', id);
+  if (wasPresenting) {
+    io.to(roomChannel(roomId)).emit('presentation', null);
+  }
+  if (!room.participants.size) {
+    sfu.closeRoom(roomId);
+    stopRecording(room);
+  }
+  if (wasHost) {
+    io.to(roomChannel(roomId)).emit('host-changed', room.hostId);
+    notifyLobby(roomId);
+  }
+  if (rooms.deleteRoomIfEmpty(roomId)) {
+    logger.info(`Room ${roomId} is empty, removed`);
+  }
+};
+
+const scheduleLeave = (id, roomId) => {
+  cancelLeave(id, roomId);
+  pendingLeaves.set(`${roomId}:${id}`, setTimeout(() => {
+    logger.info(`${id} did not come back to ${roomId}`);
+    leaveRoom(id, roomId);
+  }, config.reconnectGraceSeconds * 1000));
+};
+
+const stopRecording = (room) => {
+  const { recording } = room;
+  if (!recording) return;
+  recordings.stop(recording.id);
+  rooms.setRecording(room.id, null);
+  io.to(roomChannel(room.id)).emit('recording', null);
+  logger.info(`Recording ${recording.id} of ${room.id} stopped`);
+};
+
+// Chat history belongs to one instance of a room, so a room created later
+// under the same id starts without it
+const chatKey = (roomId) => rooms.getRoom(roomId).instanceId;
+
+rooms.onRoomRemoved((room) => {
+  chatStore.evictRoom(room.instanceId)
+    .catch((err) => logger.error(`Could not release chat history of ${room.id}: ${err.message}`));
+});
+
+const rejectEvent = (socket, event, error, ack) => {
+  logger.warn(`Rejected ${event} from ${socket.data.participantId}: ${error.code} - ${error.message}`);
+  socket.emit('signaling-error', { event, ...error });
+  if (typeof ack === 'function') ack({ ok: false, error });
+};
+
+// Add an authorized socket to the room and start peer negotiation with the
+// participants already there. A participant who is still in the room either
+// resumes after a dropped connection, keeping their peer connections, or
+// starts over from a fresh page, in which case everyone drops the old ones.
+// Returns whether it was a resume.
+const enterRoom = (socket, roomId, { userName, media, resume }) => {
+  const { participantId } = socket.data;
+  const existing = rooms.getParticipant(roomId, participantId);
+  const resumed = !!existing && !!resume;
+  cancelLeave(participantId, roomId);
+  if (existing && !resumed) {
+    sfu.closePeer(roomId, participantId);
+    socket.to(roomChannel(roomId)).emit('user-left', participantId);
+    if (rooms.isPresenting(roomId, participantId)) {
+      rooms.setPresentation(roomId, null);
+      socket.to(roomChannel(roomId)).emit('presentation', null);
+    }
+  }
+  socket.join(roomChannel(roomId));
+  const participant = rooms.addParticipant(roomId, { id: participantId, userName, media });
+  // Announce the media path before anyone starts negotiating with the newcomer
+  const mediaMode = sfu.chooseMediaMode(rooms.getRoom(roomId));
+  if (mediaMode !== rooms.getRoom(roomId).mediaMode) {
+    rooms.setMediaMode(roomId, mediaMode);
+    io.to(roomChannel(roomId)).emit('media-mode', mediaMode);
+    logger.info(`Room ${roomId} switched to ${mediaMode} media`);
+  } else {
+    socket.emit('media-mode', mediaMode);
+  }
+  // The newcomer's peer connections need the ICE servers before anyone
+  // starts negotiating with them
+  socket.emit('ice-servers', buildIceServers());
+  // Send the newcomer everyone already in the room
+  socket.emit('room-roster', rooms.getRoster(roomId).filter((p) => p.id !== participantId));
+  if (!resumed) {
+    socket.to(roomChannel(roomId)).emit('user-joined', participantId, userName, participant.media);
+  } else {
+    // Whatever we switched on or off while the connection was down
+    socket.to(roomChannel(roomId)).emit('media-state', { id: participantId, media: participant.media });
+  }
+  // The first joiner hosts; anyone else, including someone resuming, keeps
+  // the role the roster already gives them
+  const room = rooms.getRoom(roomId);
+  if (!room.hostId) {
+    rooms.setHost(roomId, participantId);
+    io.to(roomChannel(roomId)).emit('host-changed', participantId);
+    notifyLobby(roomId);
+  } else {
+    socket.emit('host-changed', room.hostId);
+  }
+  socket.emit('room-locked', room.locked);
+  socket.emit('lobby-mode', room.lobby);
+  socket.emit('presentation', room.presentation);
+  socket.emit('recording', room.recording);
+  socket.emit('file-limits', fileRelay.limits);
+  chatStore.list(chatKey(roomId), { limit: config.chat.historyLimit, viewer: participantId })
+    .then((history) => socket.emit('chat-history', history))
+    .catch((err) => logger.error(`Could not load chat history for ${roomId}: ${err.message}`));
+  logger.info(`${participantId} (${userName}) ${resumed ? 'resumed in' : 'joined'} room ${roomId}`);
+  // Debug: Log room members
+  io.in(roomChannel(roomId)).allSockets().then(sockets => {
+    logger.debug(`Users in room ${roomId}: ${[...sockets].join(', ')}`);
+  });
+  return resumed;
+};
+
+// A connection that presents the session token from an earlier one keeps
+// that participant id; any other gets a new one
+io.use((socket, next) => {
+  const claims = auth.verifyToken(socket.handshake.auth?.sessionToken);
+  socket.data.participantId = typeof claims?.participantId === 'string' ? claims.participantId : crypto.randomUUID();
+  next();
 });
 
 io.on('connection', (socket) => {
-  console.log('New user connected:', socket.id);
-
-  socket.on('join-room', (roomId, userId, userName) => {
-    socket.join(roomId);
-    socket.to(roomId).emit('user-joined', userId || socket.id, userName);
-    console.log(`${userId || socket.id} (${userName}) joined room ${roomId}`);
-    // Debug: Log room members
-    io.in(roomId).allSockets().then(sockets => {
-      console.log(`Users in room ${roomId}: ${[...sockets].join(', ')}`);
+  const { participantId } = socket.data;
+  logger.info(`New connection ${socket.id} for ${participantId}`);
+  // A newer connection takes over, e.g. when the same client is back before
+  // the old socket timed out, or the page was opened again in another tab
+  const previous = connections.get(participantId);
+  connections.set(participantId, socket);
+  if (previous) {
+    previous.emit('session-replaced');
+    previous.disconnect(true);
+  }
+  socket.join(peerChannel(participantId));
+  socket.emit('session', {
+    participantId,
+    token: auth.signToken({ participantId }, config.roomTtlSeconds),
+  });
+
+  // Forward a peer-to-peer signaling message only when both ends share a room.
+  // `session` names the sender's peer connection, so a receiver can tell a
+  // fresh connection from a late signal of one it has already replaced.
+  const relayToPeer = (event, validate, buildPayload) => {
+    socket.on(event, (data) => {
+      const error = validate(data);
+      if (error) return rejectEvent(socket, event, error);
+      if (!rooms.sharesRoom(participantId, data.to)) {
+        return rejectEvent(socket, event, validation.validationError('NOT_IN_ROOM', 'Target is not in a room with you'));
+      }
+      socket.to(peerChannel(data.to)).emit(event, { ...buildPayload(data), session: data.session, from: participantId });
+    });
+  };
+
+  socket.on('join-room', (roomId, userId, userName, options = {}, ack) => {
+    const error = validation.validateJoin(roomId, userName);
+    if (error) return rejectEvent(socket, 'join-room', error, ack);
+    if (!validation.isObject(options)) options = {};
+
+    const room = rooms.getRoom(roomId);
+    if (!room && !config.features.openRooms) {
+      return rejectEvent(socket, 'join-room', validation.validationError('ROOM_NOT_FOUND', 'Room does not exist'), ack);
+    }
+    const accessError = room && auth.checkRoomAccess(room, options);
+    if (accessError) return rejectEvent(socket, 'join-room', accessError, ack);
+    // The room creator's host token only counts while nobody hosts the room.
+    // It gets them into their own empty room past the lock and the lobby,
+    // but does not take the role back from a host they handed it to.
+    const hasHostToken = !!room && !room.hostId && auth.isHostToken(options.token, room);
+    const isParticipant = !!rooms.getParticipant(roomId, participantId);
+    if (room?.locked && !hasHostToken && !isParticipant) {
+      return rejectEvent(socket, 'join-room', validation.validationError('ROOM_LOCKED', 'The host has locked this room'), ack);
+    }
+
+    const media = validation.isObject(options.media)
+      ? { audio: options.media.audio !== false, video: options.media.video !== false }
+      : undefined;
+
+    // Hold lobby joiners until the host admits them; an admission token
+    // lets an admitted user rejoin after a reconnect without waiting again
+    const admitted = (!!room && !!auth.roomClaims(options.token, room)?.admitted) || isParticipant;
+    if (room?.lobby && !hasHostToken && !admitted) {
+      rooms.addWaiting(roomId, { id: participantId, userName: userName.trim(), media });
+      notifyLobby(roomId);
+      if (typeof ack === 'function') ack({ ok: true, waiting: true });
+      logger.info(`${participantId} (${userName}) is waiting in the lobby of ${roomId}`);
+      return;
+    }
+
+    const resumed = enterRoom(socket, roomId, {
+      userName: userName.trim(),
+      media,
+      resume: options.resume === true,
+    });
+    if (typeof ack === 'function') ack({ ok: true, resumed });
+  });
+
+  relayToPeer('offer', validation.validateOffer, (data) => ({ signal: data.signal }));
+  relayToPeer('answer', validation.validateAnswer, (data) => ({ signal: data.signal }));
+  relayToPeer('ice-candidate', validation.validateCandidate, (data) => ({ candidate: data.candidate }));
+
+  // Messages carry a client-generated id so a resend after a reconnect is
+  // acknowledged with the original instead of being stored twice
+  socket.on('chat-message', async (data, ack) => {
+    const error = validation.validateChatMessage(data);
+    if (error) return rejectEvent(socket, 'chat-message', error, ack);
+    // The roster, not the client, is the source of truth for display names
+    const sender = rooms.getParticipant(data.roomId, participantId);
+    if (!sender) {
+      return rejectEvent(socket, 'chat-message', validation.validationError('NOT_IN_ROOM', 'You are not in this room'), ack);
+    }
+    // Direct messages go to one other participant of the same room
+    if (data.to !== undefined && (data.to === participantId || !rooms.getParticipant(data.roomId, data.to))) {
+      return rejectEvent(socket, 'chat-message', validation.validationError('NOT_IN_ROOM', 'Recipient is not in this room'), ack);
+    }
+    const key = chatKey(data.roomId);
+    try {
+      const existing = await chatStore.findByClientId(key, participantId, data.clientId);
+      if (existing) {
+        if (typeof ack === 'function') ack({ ok: true, message: existing });
+        return;
+      }
+      const stored = await chatStore.append(key, {
+        id: crypto.randomUUID(),
+        clientId: data.clientId,
+        message: data.message,
+        from: participantId,
+        userName: sender.userName,
+        ...(data.to && { to: data.to, toUserName: rooms.getParticipant(data.roomId, data.to).userName }),
+        reactions: {},
+        timestamp: new Date().toISOString(),
+      });
+      // What people write stays out of the logs
+      logger.debug(`Chat message ${stored.id} (${stored.message.length} characters) from ${participantId} in room ${data.roomId}`);
+      socket.to(stored.to ? peerChannel(stored.to) : roomChannel(data.roomId)).emit('chat-message', stored);
+      if (typeof ack === 'function') ack({ ok: true, message: stored });
+    } catch (err) {
+      logger.error(`Could not store chat message in ${data.roomId}: ${err.message}`);
+      rejectEvent(socket, 'chat-message', validation.validationError('STORE_FAILED', 'Message could not be saved'), ack);
+    }
+  });
+
+  // Reactions, edits and deletes rewrite a stored message and send the new
+  // version to everyone who can see it. `change` returns the fields to update,
+  // or null when the sender may not make that change.
+  const onMessageChange = (event, validate, change) => {
+    socket.on(event, async (data, ack) => {
+      const error = validate(data);
+      if (error) return rejectEvent(socket, event, error, ack);
+      if (!rooms.getParticipant(data.roomId, participantId)) {
+        return rejectEvent(socket, event, validation.validationError('NOT_IN_ROOM', 'You are not in this room'), ack);
+      }
+      const key = chatKey(data.roomId);
+      try {
+        const message = await chatStore.get(key, data.messageId);
+        if (!message || message.deleted || !isVisibleTo(message, participantId)) {
+          return rejectEvent(socket, event, validation.validationError('NOT_FOUND', 'Message not found'), ack);
+        }
+        const changes = change(message, data);
+        if (!changes) {
+          return rejectEvent(socket, event, validation.validationError('NOT_ALLOWED', 'You can only change your own messages'), ack);
+        }
+        const updated = await chatStore.update(key, data.messageId, changes);
+        io.to(updated.to ? [peerChannel(updated.from), peerChannel(updated.to)] : roomChannel(data.roomId)).emit('chat-updated', updated);
+        if (typeof ack === 'function') ack({ ok: true, message: updated });
+      } catch (err) {
+        logger.error(`Could not apply ${event} in ${data.roomId}: ${err.message}`);
+        rejectEvent(socket, event, validation.validationError('STORE_FAILED', 'Message could not be updated'), ack);
+      }
+    });
+  };
+
+  onMessageChange('chat-react', validation.validateReaction, (message, { emoji }) => {
+    const reactions = { ...message.reactions };
+    const users = reactions[emoji] || [];
+    reactions[emoji] = users.includes(participantId) ? users.filter((id) => id !== participantId) : [...users, participantId];
+    if (!reactions[emoji].length) delete reactions[emoji];
+    return { reactions };
+  });
+
+  onMessageChange('chat-edit', validation.validateEdit, (message, data) =>
+    (message.from === participantId ? { message: data.message, editedAt: new Date().toISOString() } : null));
+
+  onMessageChange('chat-delete', validation.validateMessageRef, (message) =>
+    (message.from === participantId ? { message: '', deleted: true, reactions: {} } : null));
+
+  socket.on('typing', (data) => {
+    if (validation.validateTyping(data)) return;
+    const sender = rooms.getParticipant(data.roomId, participantId);
+    if (!sender || (data.to !== undefined && !rooms.getParticipant(data.roomId, data.to))) return;
+    socket.to(data.to ? peerChannel(data.to) : roomChannel(data.roomId)).emit('typing', {
+      from: participantId,
+      userName: sender.userName,
+      isTyping: !!data.isTyping,
+      private: data.to !== undefined,
     });
   });
 
-  socket.on('offer', (data) => {
-    socket.to(data.to).emit('offer', { signal: data.signal, from: socket.id });
+  // Shared files go over the peer data channel; while that connection is not
+  // up the sender hands the same frames to the server, one acknowledged
+  // frame at a time
+  socket.data.relayTracker = fileRelay.createRelayTracker();
+  socket.on('file-relay', (data, ack) => {
+    const error = validation.validateFileRelay(data);
+    if (error) return rejectEvent(socket, 'file-relay', error, ack);
+    if (data.to === participantId || !rooms.getParticipant(data.roomId, participantId)
+      || !rooms.getParticipant(data.roomId, data.to)) {
+      return rejectEvent(socket, 'file-relay', validation.validationError('NOT_IN_ROOM', 'Recipient is not in this room'), ack);
+    }
+    const frameError = socket.data.relayTracker.check(data.to, data.frame);
+    if (frameError) return rejectEvent(socket, 'file-relay', frameError, ack);
+    socket.to(peerChannel(data.to)).emit('file-relay', { from: participantId, frame: data.frame });
+    if (typeof ack === 'function') ack({ ok: true });
   });
 
-  socket.on('answer', (data) => {
-    socket.to(data.to).emit('answer', { signal: data.signal, from: socket.id });
+  // Microphone and camera on/off, kept in the roster so that newcomers get
+  // it with everyone else's details
+  socket.on('media-state', (data) => {
+    const error = validation.validateMediaState(data);
+    if (error) return rejectEvent(socket, 'media-state', error);
+    const participant = rooms.updateMedia(data.roomId, participantId, { audio: data.audio, video: data.video });
+    if (!participant) {
+      return rejectEvent(socket, 'media-state', validation.validationError('NOT_IN_ROOM', 'You are not in this room'));
+    }
+    socket.to(roomChannel(data.roomId)).emit('media-state', { id: participantId, media: participant.media });
   });
 
-  socket.on('ice-candidate', (data) => {
-    socket.to(data.to).emit('ice-candidate', { candidate: data.candidate, from: socket.id });
+  // Screen shares go out alongside the camera, and only one participant of a
+  // room may present at a time
+  socket.on('start-presenting', (data, ack) => {
+    const error = validation.validatePresentation(data);
+    if (error) return rejectEvent(socket, 'start-presenting', error, ack);
+    if (!rooms.getParticipant(data.roomId, participantId)) {
+      return rejectEvent(socket, 'start-presenting', validation.validationError('NOT_IN_ROOM', 'You are not in this room'), ack);
+    }
+    const { presentation } = rooms.getRoom(data.roomId);
+    if (presentation && presentation.presenterId !== participantId) {
+      return rejectEvent(socket, 'start-presenting', validation.validationError('PRESENTER_BUSY', 'Someone else is already presenting'), ack);
+    }
+    rooms.setPresentation(data.roomId, { presenterId: participantId, streamId: data.streamId });
+    io.to(roomChannel(data.roomId)).emit('presentation', rooms.getRoom(data.roomId).presentation);
+    logger.info(`${participantId} is presenting in ${data.roomId}`);
+    if (typeof ack === 'function') ack({ ok: true });
   });
 
-  socket.on('chat-message', (data) => {
-    console.log(`Chat message from ${socket.id} (${data.userName}) in room ${data.roomId}: ${data.message}`);
-    socket.to(data.roomId).emit('chat-message', {
-      message: data.message,
-      from: socket.id,
-      userName: data.userName
+  socket.on('stop-presenting', (data) => {
+    if (!validation.isObject(data) || validation.checkString(data.roomId, 'roomId', validation.LIMITS.roomId)) return;
+    if (!rooms.isPresenting(data.roomId, participantId)) return;
+    rooms.setPresentation(data.roomId, null);
+    io.to(roomChannel(data.roomId)).emit('presentation', null);
+    logger.info(`${participantId} stopped presenting in ${data.roomId}`);
+  });
+
+  // SFU signaling. Every request is acknowledged with its result, and only
+  // participants of a room that is in SFU mode may make them.
+  const onSfuEvent = (event, fields, handler) => {
+    socket.on(event, async (data, ack) => {
+      const error = validation.validateSfuRequest(data, fields);
+      if (error) return rejectEvent(socket, event, error, ack);
+      if (!rooms.getParticipant(data.roomId, participantId)) {
+        return rejectEvent(socket, event, validation.validationError('NOT_IN_ROOM', 'You are not in this room'), ack);
+      }
+      if (rooms.getRoom(data.roomId).mediaMode !== 'sfu') {
+        return rejectEvent(socket, event, validation.validationError('NOT_ALLOWED', 'This room is not using the SFU'), ack);
+      }
+      try {
+        const result = await handler(data);
+        if (typeof ack === 'function') ack({ ok: true, ...result });
+      } catch (err) {
+        rejectEvent(socket, event, validation.validationError(err.code || 'SFU_FAILED', err.message), ack);
+      }
     });
+  };
+
+  onSfuEvent('sfu-join', {}, async ({ roomId }) => ({
+    rtpCapabilities: await sfu.getRtpCapabilities(roomId),
+    producers: sfu.getProducers(roomId, participantId),
+  }));
+
+  onSfuEvent('sfu-create-transport', {}, async ({ roomId, direction }) => ({
+    transport: await sfu.createTransport(roomId, participantId, direction === 'send' ? 'send' : 'recv'),
+  }));
+
+  onSfuEvent('sfu-connect-transport', { strings: ['transportId'], objects: ['dtlsParameters'] }, async (data) => {
+    await sfu.connectTransport(data.roomId, participantId, data.transportId, data.dtlsParameters);
+  });
+
+  onSfuEvent('sfu-produce', { strings: ['transportId', 'kind'], objects: ['rtpParameters'] }, async (data) => {
+    const producer = await sfu.produce(data.roomId, participantId, {
+      transportId: data.transportId,
+      kind: data.kind,
+      rtpParameters: data.rtpParameters,
+      appData: { source: data.source === 'screen' ? 'screen' : 'camera' },
+    });
+    socket.to(roomChannel(data.roomId)).emit('sfu-new-producer', {
+      producerId: producer.id,
+      peerId: participantId,
+      kind: producer.kind,
+      source: producer.appData.source,
+    });
+    return { id: producer.id };
+  });
+
+  // A track the sender removed mid-call, in SFU mode the counterpart of
+  // renegotiating a peer connection without it
+  onSfuEvent('sfu-close-producer', { strings: ['producerId'] }, async (data) => {
+    sfu.closeProducer(data.roomId, participantId, data.producerId);
+  });
+
+  onSfuEvent('sfu-consume', { strings: ['transportId', 'producerId'], objects: ['rtpCapabilities'] }, async (data) => {
+    const consumer = await sfu.consume(data.roomId, participantId, data, (consumerId) => {
+      io.to(peerChannel(participantId)).emit('sfu-consumer-closed', { consumerId });
+    });
+    return {
+      consumer: {
+        id: consumer.id,
+        producerId: consumer.producerId,
+        kind: consumer.kind,
+        rtpParameters: consumer.rtpParameters,
+        peerId: consumer.appData.producerPeerId,
+        source: consumer.appData.source,
+      },
+    };
+  });
+
+  onSfuEvent('sfu-resume-consumer', { strings: ['consumerId'] }, async (data) => {
+    await sfu.resumeConsumer(data.roomId, participantId, data.consumerId);
+  });
+
+  onSfuEvent('sfu-pause-consumer', { strings: ['consumerId'] }, async (data) => {
+    await sfu.pauseConsumer(data.roomId, participantId, data.consumerId);
+  });
+
+  onSfuEvent('sfu-set-layer', { strings: ['consumerId'] }, async (data) => {
+    const spatialLayer = Math.max(0, Math.min(2, Math.floor(Number(data.spatialLayer)) || 0));
+    await sfu.setConsumerLayer(data.roomId, participantId, data.consumerId, spatialLayer);
+  });
+
+  // Older chat messages, a page at a time, for scrolling back
+  socket.on('load-chat-history', async (data, ack) => {
+    if (typeof ack !== 'function') return;
+    const error = validation.validateHistoryRequest(data);
+    if (error) return rejectEvent(socket, 'load-chat-history', error, ack);
+    if (!rooms.getParticipant(data.roomId, participantId)) {
+      return rejectEvent(socket, 'load-chat-history', validation.validationError('NOT_IN_ROOM', 'You are not in this room'), ack);
+    }
+    try {
+      const history = await chatStore.list(chatKey(data.roomId), {
+        before: data.before,
+        limit: config.chat.historyLimit,
+        viewer: participantId,
+      });
+      ack({ ok: true, ...history });
+    } catch (err) {
+      logger.error(`Could not load chat history for ${data.roomId}: ${err.message}`);
+      rejectEvent(socket, 'load-chat-history', validation.validationError('STORE_FAILED', 'History is unavailable'), ack);
+    }
+  });
+
+  // Moderation events are only honoured from the room's host, against a
+  // participant of that same room (or someone in its lobby, for lobby events)
+  const onHostEvent = (event, handler, options) => {
+    socket.on(event, (data) => {
+      const error = validation.validateModeration(data, options);
+      if (error) return rejectEvent(socket, event, error);
+      if (!rooms.isHost(data.roomId, participantId)) {
+        return rejectEvent(socket, event, validation.validationError('NOT_HOST', 'Only the host can do that'));
+      }
+      const isMember = options?.lobby
+        ? rooms.getWaiting(data.roomId).some((entry) => entry.id === data.to)
+        : rooms.getParticipant(data.roomId, data.to);
+      if (data.to !== undefined && !isMember) {
+        return rejectEvent(socket, event, validation.validationError('NOT_IN_ROOM', 'Participant is not in this room'));
+      }
+      handler(data);
+    });
+  };
+
+  onHostEvent('transfer-host', ({ roomId, to }) => {
+    rooms.setHost(roomId, to);
+    io.to(roomChannel(roomId)).emit('host-changed', to);
+    notifyLobby(roomId);
+    logger.info(`Host of ${roomId} transferred from ${participantId} to ${to}`);
+  });
+
+  onHostEvent('mute-participant', ({ roomId, to, kind }) => {
+    if (kind !== 'audio' && kind !== 'video') {
+      return rejectEvent(socket, 'mute-participant', validation.validationError('INVALID_PAYLOAD', 'kind must be "audio" or "video"'));
+    }
+    const { media } = rooms.updateMedia(roomId, to, { [kind]: false });
+    io.to(roomChannel(roomId)).emit('media-state', { id: to, media });
+    io.to(peerChannel(to)).emit('force-mute', { roomId, kind, by: participantId });
+    logger.info(`Host ${participantId} muted ${kind} of ${to} in ${roomId}`);
+  });
+
+  onHostEvent('remove-participant', ({ roomId, to }) => {
+    io.to(peerChannel(to)).emit('removed', { roomId, reason: 'You were removed from the meeting by the host' });
+    leaveRoom(to, roomId);
+    logger.info(`Host ${participantId} removed ${to} from ${roomId}`);
+  });
+
+  onHostEvent('lock-room', ({ roomId, locked }) => {
+    rooms.setLocked(roomId, !!locked);
+    io.to(roomChannel(roomId)).emit('room-locked', !!locked);
+    logger.info(`Room ${roomId} ${locked ? 'locked' : 'unlocked'} by ${participantId}`);
+  }, { requireTarget: false });
+
+  // Recording is started and stopped by the host; every participant is told,
+  // and their browsers upload their own media while it runs
+  onHostEvent('start-recording', ({ roomId }) => {
+    if (!config.recording.enabled) {
+      return rejectEvent(socket, 'start-recording', validation.validationError('NOT_ALLOWED', 'Recording is not enabled on this server'));
+    }
+    if (rooms.getRoom(roomId).recording) return;
+    const { id, startedAt } = recordings.start(roomId, {
+      roomInstance: rooms.getRoom(roomId).instanceId,
+      startedBy: participantId,
+    });
+    rooms.setRecording(roomId, { id, startedAt, startedBy: participantId });
+    io.to(roomChannel(roomId)).emit('recording', rooms.getRoom(roomId).recording);
+    logger.info(`Recording ${id} of ${roomId} started by ${participantId}`);
+  }, { requireTarget: false });
+
+  onHostEvent('stop-recording', ({ roomId }) => stopRecording(rooms.getRoom(roomId)), { requireTarget: false });
+
+  const admit = (roomId, id) => {
+    const entry = rooms.removeWaiting(roomId, id);
+    const target = connections.get(id);
+    if (!entry || !target) return;
+    const token = auth.signToken({
+      roomId,
+      instance: rooms.getRoom(roomId).instanceId,
+      role: 'guest',
+      admitted: true,
+    }, config.roomTtlSeconds);
+    target.emit('admitted', { roomId, token });
+    enterRoom(target, roomId, { userName: entry.userName, media: entry.media });
+  };
+
+  const deny = (roomId, id, reason) => {
+    if (!rooms.removeWaiting(roomId, id)) return;
+    io.to(peerChannel(id)).emit('lobby-denied', { roomId, reason: reason || 'The host did not let you in' });
+  };
+
+  const lobbyReason = (reason) =>
+    (typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, validation.LIMITS.message) : undefined);
+
+  onHostEvent('admit-participant', ({ roomId, to }) => {
+    admit(roomId, to);
+    notifyLobby(roomId);
+  }, { lobby: true });
+
+  onHostEvent('deny-participant', ({ roomId, to, reason }) => {
+    deny(roomId, to, lobbyReason(reason));
+    notifyLobby(roomId);
+  }, { lobby: true });
+
+  onHostEvent('admit-all', ({ roomId }) => {
+    rooms.getWaiting(roomId).forEach((entry) => admit(roomId, entry.id));
+    notifyLobby(roomId);
+  }, { requireTarget: false });
+
+  onHostEvent('deny-all', ({ roomId, reason }) => {
+    rooms.getWaiting(roomId).forEach((entry) => deny(roomId, entry.id, lobbyReason(reason)));
+    notifyLobby(roomId);
+  }, { requireTarget: false });
+
+  onHostEvent('set-lobby', ({ roomId, enabled }) => {
+    rooms.setLobby(roomId, !!enabled);
+    io.to(roomChannel(roomId)).emit('lobby-mode', !!enabled);
+    if (!enabled) {
+      rooms.getWaiting(roomId).forEach((entry) => admit(roomId, entry.id));
+      notifyLobby(roomId);
+    }
+  }, { requireTarget: false });
+
+  socket.on('leave-room', (roomId) => {
+    const roomIds = typeof roomId === 'string' ? [roomId] : rooms.getRoomsForParticipant(participantId);
+    roomIds.forEach((id) => leaveRoom(participantId, id));
+    logger.info(`${participantId} left room(s) ${roomIds.join(', ')}`);
   });
 
   socket.on('disconnect', () => {
-    socket.broadcast.emit('user-left', socket.id);
-    console.log('User disconnected:', socket.id);
+    logger.info(`Connection ${socket.id} of ${participantId} closed`);
+    if (connections.get(participantId) !== socket) return;
+    connections.delete(participantId);
+    rooms.getRoomsForParticipant(participantId).forEach((roomId) => scheduleLeave(participantId, roomId));
   });
 });
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
+if (!fs.existsSync(path.join(config.staticPath, 'index.html'))) {
+  logger.warn(`No frontend build found at ${config.staticPath}; only the API will be served`);
+}
+
+server.listen(config.port, '0.0.0.0', () => {
+  logger.info(`Server running on port ${config.port}`);
+  logger.info(`Allowed origins: ${config.allowedOrigins.join(', ')}`);
 });
\ No newline at end of file
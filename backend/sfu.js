@@ -0,0 +1,218 @@
+const config = require('./config');
+const logger = require('./logger');
+
+// Selective forwarding unit built on mediasoup. Each room in SFU mode gets a
+// router; each participant a send and a receive transport, a producer per
+// track they send and a consumer per track they receive. Peers are keyed by
+// participant id, like the rest of the room state.
+const MEDIA_CODECS = [
+  { kind: 'audio', mimeType: 'audio/opus', clockRate: 48000, channels: 2 },
+  { kind: 'video', mimeType: 'video/VP8', clockRate: 90000, parameters: { 'x-google-start-bitrate': 1000 } },
+  {
+    kind: 'video',
+    mimeType: 'video/H264',
+    clockRate: 90000,
+    parameters: { 'packetization-mode': 1, 'profile-level-id': '42e01f', 'level-asymmetry-allowed': 1 },
+  },
+];
+
+let workers = null;
+let nextWorker = 0;
+const routers = new Map();
+const peers = new Map();
+
+const sfuError = (code, message) => Object.assign(new Error(message), { code });
+
+// Which media path a room should use with its current participants. A room
+// that has gone to the SFU stays there until it empties out.
+const chooseMediaMode = (room) => {
+  if (!config.sfu.enabled || room.mediaPreference === 'mesh') return 'mesh';
+  if (room.mediaPreference === 'sfu') return 'sfu';
+  if (room.mediaMode === 'sfu' && room.participants.size > 1) return 'sfu';
+  return room.participants.size > config.sfu.meshMaxParticipants ? 'sfu' : 'mesh';
+};
+
+const getWorkers = () => {
+  if (!workers) {
+    // Loaded on first use so mesh-only deployments do not need mediasoup
+    workers = Promise.resolve()
+      .then(() => require('mediasoup'))
+      .then((mediasoup) => Promise.all(Array.from({ length: config.sfu.workers }, async () => {
+        const worker = await mediasoup.createWorker({ logLevel: 'warn' });
+        worker.on('died', () => {
+          logger.error(`mediasoup worker ${worker.pid} died, exiting`);
+          process.exit(1);
+        });
+        return worker;
+      })))
+      .catch((err) => {
+        workers = null;
+        throw sfuError('SFU_UNAVAILABLE', `SFU could not start: ${err.message}`);
+      });
+  }
+  return workers;
+};
+
+const getRouter = (roomId) => {
+  if (!routers.has(roomId)) {
+    routers.set(roomId, getWorkers().then((all) => {
+      const worker = all[nextWorker++ % all.length];
+      logger.info(`Creating SFU router for room ${roomId}`);
+      return worker.createRouter({ mediaCodecs: MEDIA_CODECS });
+    }).catch((err) => {
+      routers.delete(roomId);
+      throw err;
+    }));
+  }
+  return routers.get(roomId);
+};
+
+const getPeer = (roomId, peerId) => {
+  const key = `${roomId}:${peerId}`;
+  if (!peers.has(key)) {
+    peers.set(key, { roomId, peerId, transports: new Map(), producers: new Map(), consumers: new Map() });
+  }
+  return peers.get(key);
+};
+
+const getTransport = (roomId, peerId, transportId) => {
+  const transport = getPeer(roomId, peerId).transports.get(transportId);
+  if (!transport) throw sfuError('NOT_FOUND', 'Unknown transport');
+  return transport;
+};
+
+const getConsumer = (roomId, peerId, consumerId) => {
+  const consumer = getPeer(roomId, peerId).consumers.get(consumerId);
+  if (!consumer) throw sfuError('NOT_FOUND', 'Unknown consumer');
+  return consumer;
+};
+
+const getRtpCapabilities = async (roomId) => (await getRouter(roomId)).rtpCapabilities;
+
+const createTransport = async (roomId, peerId, direction) => {
+  const router = await getRouter(roomId);
+  const portRange = { min: config.sfu.rtcMinPort, max: config.sfu.rtcMaxPort };
+  const announcedAddress = config.sfu.announcedIp || undefined;
+  const transport = await router.createWebRtcTransport({
+    listenInfos: ['udp', 'tcp'].map((protocol) => ({ protocol, ip: config.sfu.listenIp, announcedAddress, portRange })),
+    preferUdp: true,
+    initialAvailableOutgoingBitrate: 1000000,
+    appData: { direction },
+  });
+  const peer = getPeer(roomId, peerId);
+  // One transport each way per participant, so nobody can tie up the port
+  // range. Asking again, e.g. after the client started over, replaces it.
+  peer.transports.forEach((existing) => {
+    if (existing.appData.direction === direction) existing.close();
+  });
+  peer.transports.set(transport.id, transport);
+  transport.observer.on('close', () => peer.transports.delete(transport.id));
+  return {
+    id: transport.id,
+    iceParameters: transport.iceParameters,
+    iceCandidates: transport.iceCandidates,
+    dtlsParameters: transport.dtlsParameters,
+  };
+};
+
+const connectTransport = (roomId, peerId, transportId, dtlsParameters) =>
+  getTransport(roomId, peerId, transportId).connect({ dtlsParameters });
+
+const produce = async (roomId, peerId, { transportId, kind, rtpParameters, appData = {} }) => {
+  const producer = await getTransport(roomId, peerId, transportId).produce({ kind, rtpParameters, appData });
+  const peer = getPeer(roomId, peerId);
+  peer.producers.set(producer.id, producer);
+  producer.observer.on('close', () => peer.producers.delete(producer.id));
+  return producer;
+};
+
+// Stops forwarding a track its sender removed mid-call. Everyone consuming
+// the producer is told through their consumer's onClose.
+const closeProducer = (roomId, peerId, producerId) => {
+  const producer = getPeer(roomId, peerId).producers.get(producerId);
+  if (!producer) throw sfuError('NOT_FOUND', 'Unknown producer');
+  producer.close();
+};
+
+// Consumers start paused; the client resumes them once it is ready to
+// render, so no keyframe is wasted. onClose fires when the producer goes away.
+const consume = async (roomId, peerId, { transportId, producerId, rtpCapabilities }, onClose) => {
+  const router = await getRouter(roomId);
+  if (!router.canConsume({ producerId, rtpCapabilities })) {
+    throw sfuError('NOT_ALLOWED', 'Cannot consume this producer with the given capabilities');
+  }
+  const owner = [...peers.values()].find((peer) => peer.roomId === roomId && peer.producers.has(producerId));
+  if (!owner) throw sfuError('NOT_FOUND', 'Unknown producer');
+  const consumer = await getTransport(roomId, peerId, transportId).consume({
+    producerId,
+    rtpCapabilities,
+    paused: true,
+    appData: { producerPeerId: owner.peerId, source: owner.producers.get(producerId).appData.source },
+  });
+  const peer = getPeer(roomId, peerId);
+  peer.consumers.set(consumer.id, consumer);
+  consumer.observer.on('close', () => peer.consumers.delete(consumer.id));
+  consumer.on('producerclose', () => {
+    consumer.close();
+    onClose(consumer.id);
+  });
+  return consumer;
+};
+
+const resumeConsumer = (roomId, peerId, consumerId) => getConsumer(roomId, peerId, consumerId).resume();
+
+// Stops forwarding to the receiver, e.g. video for someone in audio-only mode
+const pauseConsumer = (roomId, peerId, consumerId) => getConsumer(roomId, peerId, consumerId).pause();
+
+// Receivers pick a simulcast layer (0 = lowest) to match the size they render at
+const setConsumerLayer = async (roomId, peerId, consumerId, spatialLayer) => {
+  const consumer = getConsumer(roomId, peerId, consumerId);
+  if (consumer.type === 'simulcast') {
+    await consumer.setPreferredLayers({ spatialLayer, temporalLayer: 2 });
+  }
+};
+
+const getProducers = (roomId, exceptPeerId) =>
+  [...peers.values()]
+    .filter((peer) => peer.roomId === roomId && peer.peerId !== exceptPeerId)
+    .flatMap((peer) => [...peer.producers.values()].map((producer) => ({
+      producerId: producer.id,
+      peerId: peer.peerId,
+      kind: producer.kind,
+      source: producer.appData.source,
+    })));
+
+// Closing the transports closes the peer's producers, which in turn closes
+// everyone's consumers of them
+const closePeer = (roomId, peerId) => {
+  const key = `${roomId}:${peerId}`;
+  const peer = peers.get(key);
+  if (!peer) return;
+  peer.transports.forEach((transport) => transport.close());
+  peers.delete(key);
+};
+
+const closeRoom = (roomId) => {
+  const router = routers.get(roomId);
+  if (!router) return;
+  routers.delete(roomId);
+  [...peers.values()].filter((peer) => peer.roomId === roomId).forEach((peer) => closePeer(roomId, peer.peerId));
+  router.then((r) => r.close()).catch(() => {});
+  logger.info(`Closed SFU router for room ${roomId}`);
+};
+
+module.exports = {
+  chooseMediaMode,
+  getRtpCapabilities,
+  createTransport,
+  connectTransport,
+  produce,
+  closeProducer,
+  consume,
+  resumeConsumer,
+  pauseConsumer,
+  setConsumerLayer,
+  getProducers,
+  closePeer,
+  closeRoom,
+};
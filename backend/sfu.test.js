@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Settings are read once, as the config module is first loaded
+process.env.SFU_ENABLED = 'true';
+process.env.SFU_MESH_MAX_PARTICIPANTS = '3';
+const config = require('./config');
+const { chooseMediaMode } = require('./sfu');
+
+const room = (size, { mediaPreference = 'auto', mediaMode = 'mesh' } = {}) => ({
+  mediaPreference,
+  mediaMode,
+  participants: new Map(Array.from({ length: size }, (_, i) => [`p${i}`, {}])),
+});
+
+test('an auto room goes to the SFU once it outgrows the mesh', () => {
+  assert.equal(chooseMediaMode(room(1)), 'mesh');
+  assert.equal(chooseMediaMode(room(3)), 'mesh');
+  assert.equal(chooseMediaMode(room(4)), 'sfu');
+});
+
+test('an auto room stays on the SFU until it empties out', () => {
+  assert.equal(chooseMediaMode(room(2, { mediaMode: 'sfu' })), 'sfu');
+  assert.equal(chooseMediaMode(room(1, { mediaMode: 'sfu' })), 'mesh');
+});
+
+test('a room created for one media path keeps it', () => {
+  assert.equal(chooseMediaMode(room(10, { mediaPreference: 'mesh' })), 'mesh');
+  assert.equal(chooseMediaMode(room(1, { mediaPreference: 'sfu' })), 'sfu');
+});
+
+test('every room is mesh when the SFU is not enabled', (t) => {
+  config.sfu.enabled = false;
+  t.after(() => {
+    config.sfu.enabled = true;
+  });
+  assert.equal(chooseMediaMode(room(10)), 'mesh');
+  assert.equal(chooseMediaMode(room(2, { mediaPreference: 'sfu' })), 'mesh');
+});
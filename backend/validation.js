@@ -0,0 +1,170 @@
+// Shape and size checks for client payloads. Each validator returns null when
+// the payload is acceptable, or an error object to send back to the client.
+const LIMITS = {
+  roomId: 128,
+  userName: 64,
+  participantId: 64,
+  sdp: 64 * 1024,
+  candidate: 2048,
+  message: 2000,
+  password: 128,
+  messageId: 64,
+  emoji: 16,
+  // A relayed file frame: one chunk plus its header
+  fileFrame: 65 * 1024,
+};
+
+const validationError = (code, message) => ({ code, message });
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const checkString = (value, field, max) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return validationError('INVALID_PAYLOAD', `${field} must be a non-empty string`);
+  }
+  if (value.length > max) {
+    return validationError('PAYLOAD_TOO_LARGE', `${field} exceeds ${max} characters`);
+  }
+  return null;
+};
+
+// Peer signals may name the sending connection, see relayToPeer
+const checkSession = (session) =>
+  (session !== undefined ? checkString(session, 'session', LIMITS.messageId) : null);
+
+const validateJoin = (roomId, userName) =>
+  checkString(roomId, 'roomId', LIMITS.roomId) || checkString(userName, 'userName', LIMITS.userName);
+
+const validateDescription = (type) => (data) => {
+  if (!isObject(data) || !isObject(data.signal)) {
+    return validationError('INVALID_PAYLOAD', 'Expected { to, signal }');
+  }
+  if (data.signal.type !== type) {
+    return validationError('INVALID_PAYLOAD', `signal.type must be "${type}"`);
+  }
+  return checkString(data.to, 'to', LIMITS.participantId)
+    || checkString(data.signal.sdp, 'signal.sdp', LIMITS.sdp)
+    || checkSession(data.session);
+};
+
+const validateCandidate = (data) => {
+  if (!isObject(data) || !isObject(data.candidate)) {
+    return validationError('INVALID_PAYLOAD', 'Expected { to, candidate }');
+  }
+  const { candidate } = data.candidate;
+  if (typeof candidate !== 'string' || candidate.length > LIMITS.candidate) {
+    return validationError('INVALID_PAYLOAD', 'candidate.candidate must be a string');
+  }
+  return checkString(data.to, 'to', LIMITS.participantId) || checkSession(data.session);
+};
+
+const validateChatMessage = (data) => {
+  if (!isObject(data)) {
+    return validationError('INVALID_PAYLOAD', 'Expected { roomId, message }');
+  }
+  return checkString(data.roomId, 'roomId', LIMITS.roomId)
+    || checkString(data.message, 'message', LIMITS.message)
+    || checkString(data.clientId, 'clientId', LIMITS.messageId)
+    || (data.to !== undefined ? checkString(data.to, 'to', LIMITS.participantId) : null);
+};
+
+const validateMessageRef = (data) => {
+  if (!isObject(data)) {
+    return validationError('INVALID_PAYLOAD', 'Expected { roomId, messageId }');
+  }
+  return checkString(data.roomId, 'roomId', LIMITS.roomId) || checkString(data.messageId, 'messageId', LIMITS.messageId);
+};
+
+const validateReaction = (data) =>
+  validateMessageRef(data) || checkString(data.emoji, 'emoji', LIMITS.emoji);
+
+const validateEdit = (data) =>
+  validateMessageRef(data) || checkString(data.message, 'message', LIMITS.message);
+
+const validateTyping = (data) => {
+  if (!isObject(data)) {
+    return validationError('INVALID_PAYLOAD', 'Expected { roomId, isTyping }');
+  }
+  return checkString(data.roomId, 'roomId', LIMITS.roomId)
+    || (data.to !== undefined ? checkString(data.to, 'to', LIMITS.participantId) : null);
+};
+
+const validateHistoryRequest = (data) => {
+  if (!isObject(data)) {
+    return validationError('INVALID_PAYLOAD', 'Expected { roomId, before }');
+  }
+  return checkString(data.roomId, 'roomId', LIMITS.roomId)
+    || (data.before !== undefined ? checkString(data.before, 'before', LIMITS.messageId) : null);
+};
+
+const validateFileRelay = (data) => {
+  if (!isObject(data) || !Buffer.isBuffer(data.frame)) {
+    return validationError('INVALID_PAYLOAD', 'Expected { roomId, to, frame }');
+  }
+  if (data.frame.length > LIMITS.fileFrame) {
+    return validationError('PAYLOAD_TOO_LARGE', `frame exceeds ${LIMITS.fileFrame} bytes`);
+  }
+  return checkString(data.roomId, 'roomId', LIMITS.roomId) || checkString(data.to, 'to', LIMITS.participantId);
+};
+
+// SFU requests carry mediasoup parameter objects, which mediasoup checks in
+// detail; here they only need to be present and of the right type
+const validateSfuRequest = (data, { strings = [], objects = [] } = {}) => {
+  if (!isObject(data)) {
+    return validationError('INVALID_PAYLOAD', 'Expected { roomId, ... }');
+  }
+  const missing = objects.find((field) => !isObject(data[field]));
+  if (missing) {
+    return validationError('INVALID_PAYLOAD', `${missing} must be an object`);
+  }
+  return [['roomId', LIMITS.roomId], ...strings.map((field) => [field, LIMITS.messageId])]
+    .reduce((error, [field, max]) => error || checkString(data[field], field, max), null);
+};
+
+// Presenting names the stream the screen share travels in, so viewers can
+// tell it from the camera
+const validatePresentation = (data) => {
+  if (!isObject(data)) {
+    return validationError('INVALID_PAYLOAD', 'Expected { roomId, streamId }');
+  }
+  return checkString(data.roomId, 'roomId', LIMITS.roomId) || checkString(data.streamId, 'streamId', LIMITS.messageId);
+};
+
+// Whether our microphone and camera are on, for everyone else's tiles
+const validateMediaState = (data) => {
+  if (!isObject(data) || typeof data.audio !== 'boolean' || typeof data.video !== 'boolean') {
+    return validationError('INVALID_PAYLOAD', 'Expected { roomId, audio, video } with boolean audio and video');
+  }
+  return checkString(data.roomId, 'roomId', LIMITS.roomId);
+};
+
+// Host moderation events all name a room and, usually, a target participant
+const validateModeration = (data, { requireTarget = true } = {}) => {
+  if (!isObject(data)) {
+    return validationError('INVALID_PAYLOAD', 'Expected { roomId, to }');
+  }
+  return checkString(data.roomId, 'roomId', LIMITS.roomId)
+    || (requireTarget ? checkString(data.to, 'to', LIMITS.participantId) : null);
+};
+
+module.exports = {
+  LIMITS,
+  validationError,
+  isObject,
+  checkString,
+  validateJoin,
+  validateOffer: validateDescription('offer'),
+  validateAnswer: validateDescription('answer'),
+  validateCandidate,
+  validateChatMessage,
+  validateHistoryRequest,
+  validateMessageRef,
+  validateReaction,
+  validateEdit,
+  validateTyping,
+  validateFileRelay,
+  validateSfuRequest,
+  validatePresentation,
+  validateMediaState,
+  validateModeration,
+};
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const validation = require('./validation');
+
+const code = (error) => error?.code ?? null;
+
+test('checkString wants a non-empty string within the limit', () => {
+  assert.equal(validation.checkString('room', 'roomId', 8), null);
+  assert.equal(code(validation.checkString('', 'roomId', 8)), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.checkString('   ', 'roomId', 8)), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.checkString(42, 'roomId', 8)), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.checkString({}, 'roomId', 8)), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.checkString('x'.repeat(9), 'roomId', 8)), 'PAYLOAD_TOO_LARGE');
+});
+
+test('joins need a room id and a user name', () => {
+  assert.equal(validation.validateJoin('board', 'Alice'), null);
+  assert.equal(code(validation.validateJoin(undefined, 'Alice')), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.validateJoin('board', '')), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.validateJoin('board', 'x'.repeat(validation.LIMITS.userName + 1))), 'PAYLOAD_TOO_LARGE');
+});
+
+test('offers and answers must carry a description of their own type', () => {
+  const offer = { to: 'peer', signal: { type: 'offer', sdp: 'v=0' } };
+  assert.equal(validation.validateOffer(offer), null);
+  assert.equal(validation.validateOffer({ ...offer, session: 's1' }), null);
+  assert.equal(code(validation.validateAnswer(offer)), 'INVALID_PAYLOAD');
+  assert.equal(validation.validateAnswer({ ...offer, signal: { type: 'answer', sdp: 'v=0' } }), null);
+  assert.equal(code(validation.validateOffer({ signal: offer.signal })), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.validateOffer({ to: 'peer', signal: 'v=0' })), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.validateOffer({ ...offer, session: 7 })), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.validateOffer(null)), 'INVALID_PAYLOAD');
+  assert.equal(
+    code(validation.validateOffer({ to: 'peer', signal: { type: 'offer', sdp: 'x'.repeat(validation.LIMITS.sdp + 1) } })),
+    'PAYLOAD_TOO_LARGE',
+  );
+});
+
+test('ICE candidates must be strings within the limit', () => {
+  assert.equal(validation.validateCandidate({ to: 'peer', candidate: { candidate: 'candidate:1 1 udp 1 10.0.0.1 9 typ host' } }), null);
+  // The end-of-candidates marker is an empty candidate
+  assert.equal(validation.validateCandidate({ to: 'peer', candidate: { candidate: '' } }), null);
+  assert.equal(code(validation.validateCandidate({ to: 'peer', candidate: { candidate: 5 } })), 'INVALID_PAYLOAD');
+  assert.equal(
+    code(validation.validateCandidate({ to: 'peer', candidate: { candidate: 'x'.repeat(validation.LIMITS.candidate + 1) } })),
+    'INVALID_PAYLOAD',
+  );
+  assert.equal(code(validation.validateCandidate({ candidate: { candidate: '' } })), 'INVALID_PAYLOAD');
+});
+
+test('chat messages need a room, text and a client id, and may name a recipient', () => {
+  const message = { roomId: 'board', message: 'hi', clientId: 'c1' };
+  assert.equal(validation.validateChatMessage(message), null);
+  assert.equal(validation.validateChatMessage({ ...message, to: 'peer' }), null);
+  assert.equal(code(validation.validateChatMessage({ ...message, clientId: undefined })), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.validateChatMessage({ ...message, to: '' })), 'INVALID_PAYLOAD');
+  assert.equal(
+    code(validation.validateChatMessage({ ...message, message: 'x'.repeat(validation.LIMITS.message + 1) })),
+    'PAYLOAD_TOO_LARGE',
+  );
+});
+
+test('relayed file frames must be buffers within the frame limit', () => {
+  const data = { roomId: 'board', to: 'peer', frame: Buffer.alloc(10) };
+  assert.equal(validation.validateFileRelay(data), null);
+  assert.equal(code(validation.validateFileRelay({ ...data, frame: 'text' })), 'INVALID_PAYLOAD');
+  assert.equal(
+    code(validation.validateFileRelay({ ...data, frame: Buffer.alloc(validation.LIMITS.fileFrame + 1) })),
+    'PAYLOAD_TOO_LARGE',
+  );
+});
+
+test('SFU requests check the fields each request names', () => {
+  const fields = { strings: ['transportId'], objects: ['dtlsParameters'] };
+  assert.equal(validation.validateSfuRequest({ roomId: 'board', transportId: 't', dtlsParameters: {} }, fields), null);
+  assert.equal(code(validation.validateSfuRequest({ roomId: 'board', transportId: 't' }, fields)), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.validateSfuRequest({ roomId: 'board', dtlsParameters: {} }, fields)), 'INVALID_PAYLOAD');
+  assert.equal(validation.validateSfuRequest({ roomId: 'board' }), null);
+});
+
+test('a presentation names its screen stream', () => {
+  assert.equal(validation.validatePresentation({ roomId: 'board', streamId: 'screen' }), null);
+  assert.equal(code(validation.validatePresentation({ roomId: 'board' })), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.validatePresentation('screen')), 'INVALID_PAYLOAD');
+});
+
+test('media state needs boolean audio and video', () => {
+  assert.equal(validation.validateMediaState({ roomId: 'board', audio: true, video: false }), null);
+  assert.equal(code(validation.validateMediaState({ roomId: 'board', audio: 'yes', video: false })), 'INVALID_PAYLOAD');
+  assert.equal(code(validation.validateMediaState({ audio: true, video: true })), 'INVALID_PAYLOAD');
+});
+
+test('moderation events name a target unless told otherwise', () => {
+  assert.equal(validation.validateModeration({ roomId: 'board', to: 'peer' }), null);
+  assert.equal(code(validation.validateModeration({ roomId: 'board' })), 'INVALID_PAYLOAD');
+  assert.equal(validation.validateModeration({ roomId: 'board' }, { requireTarget: false }), null);
+});
@@ -0,0 +1,6 @@
+// Runtime settings, editable after the build without recompiling. Anything
+// left out falls back to the REACT_APP_* build-time variables, then to the
+// origin this page was served from.
+window.LIVEMEET_CONFIG = {
+  // signalingUrl: 'https://livemeet.example.com',
+};
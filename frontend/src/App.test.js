@@ -1,8 +1,33 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// jsdom has no camera or microphone, so the join screen settles once it has
+// said so
+const renderApp = async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText(/^Camera: /);
+};
+
+beforeEach(() => {
+  jest.spyOn(window, 'alert').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('opens on the join screen', async () => {
+  await renderApp();
+  expect(screen.getByPlaceholderText('Enter your username')).toBeInTheDocument();
+  expect(screen.getByPlaceholderText('Enter Room ID')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Join Room' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Create Room' })).toBeInTheDocument();
+});
+
+test('explains on the join screen when the camera and microphone can not be opened', async () => {
+  await renderApp();
+  expect(screen.getByText('Camera: This browser can not use a camera or microphone.')).toBeInTheDocument();
+  expect(screen.getByText('Microphone: This browser can not use a camera or microphone.')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Camera off' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Microphone off' })).toBeDisabled();
 });
@@ -0,0 +1,264 @@
+import React, { useState, useRef, useLayoutEffect } from 'react';
+import { renderMarkdown } from '../lib/markdown';
+import { formatBytes } from '../lib/fileTransfer';
+
+const REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '👀'];
+const TYPING_IDLE_MS = 3000;
+const TRANSFER_LABELS = {
+  verifying: 'Checking…',
+  done: 'Done',
+  failed: 'Failed',
+};
+
+const TransferProgress = ({ label, progress = 0, status, error }) => (
+  <div className={`chat-file-progress ${status}`}>
+    {label && <span className="chat-file-recipient">{label}</span>}
+    {(status === 'sending' || status === 'receiving') && <progress max="100" value={progress} />}
+    <span className="chat-file-status">
+      {TRANSFER_LABELS[status] || `${progress}%`}
+      {error && `: ${error}`}
+    </span>
+  </div>
+);
+
+const ChatPanel = ({
+  messages,
+  selfId,
+  participants,
+  typingUsers,
+  hasMoreHistory,
+  loadingHistory,
+  onLoadEarlier,
+  onSend,
+  onRetry,
+  onReact,
+  onEdit,
+  onDelete,
+  onTyping,
+  onShareFile,
+}) => {
+  const [chatInput, setChatInput] = useState('');
+  const [recipient, setRecipient] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [pickerFor, setPickerFor] = useState(null);
+
+  const chatRef = useRef();
+  const scrollState = useRef({ height: 0, firstKey: null });
+  const typingTimer = useRef(null);
+  const fileInputRef = useRef();
+
+  const keyOf = (msg) => msg.clientId || msg.id;
+  // Fall back to everyone if the chosen recipient has left
+  const activeRecipient = participants[recipient] ? recipient : '';
+
+  // Stick to the bottom for new messages, but keep the reading position when
+  // older messages are prepended from history
+  useLayoutEffect(() => {
+    const el = chatRef.current;
+    if (!el) return;
+    const firstKey = messages[0] && keyOf(messages[0]);
+    const { height, firstKey: previousFirstKey } = scrollState.current;
+    if (previousFirstKey && firstKey !== previousFirstKey && messages.some((msg) => keyOf(msg) === previousFirstKey)) {
+      el.scrollTop += el.scrollHeight - height;
+    } else {
+      el.scrollTop = el.scrollHeight;
+    }
+    scrollState.current = { height: el.scrollHeight, firstKey };
+  }, [messages]);
+
+  const stopTyping = () => {
+    if (typingTimer.current) {
+      clearTimeout(typingTimer.current);
+      typingTimer.current = null;
+      onTyping(false, activeRecipient);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    setChatInput(e.target.value);
+    if (!typingTimer.current) {
+      onTyping(true, activeRecipient);
+    } else {
+      clearTimeout(typingTimer.current);
+    }
+    typingTimer.current = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  const send = () => {
+    if (!chatInput.trim()) return;
+    stopTyping();
+    onSend(chatInput, activeRecipient || undefined);
+    setChatInput('');
+  };
+
+  const saveEdit = () => {
+    if (editing.text.trim()) {
+      onEdit(editing.message, editing.text);
+    }
+    setEditing(null);
+  };
+
+  const pickFile = (e) => {
+    const [file] = e.target.files;
+    if (file) onShareFile(file, activeRecipient || undefined);
+    e.target.value = '';
+  };
+
+  const nameOf = (id) => (id === selfId ? 'you' : participants[id]?.userName || 'someone');
+
+  // Own files show progress per recipient, received files a single bar
+  const renderFile = (msg) => {
+    const { file } = msg;
+    return (
+      <div className="chat-file">
+        {file.url && file.mime?.startsWith('image/') && (
+          <a href={file.url} download={file.name}>
+            <img className="chat-file-preview" src={file.url} alt={file.name} />
+          </a>
+        )}
+        <div>
+          {file.url ? <a href={file.url} download={file.name}>{file.name}</a> : <span>{file.name}</span>}
+          <span className="chat-file-size"> ({formatBytes(file.size)})</span>
+        </div>
+        {msg.recipients
+          ? Object.entries(msg.recipients).map(([id, transfer]) => (
+            <TransferProgress key={id} label={transfer.userName || nameOf(id)} {...transfer} />
+          ))
+          : <TransferProgress {...msg.transfer} />}
+      </div>
+    );
+  };
+
+  const renderMessage = (msg, index) => {
+    const own = msg.own || msg.from === selfId;
+    const isEditing = editing && keyOf(editing.message) === keyOf(msg);
+    const reactions = Object.entries(msg.reactions || {});
+    return (
+      <div
+        key={keyOf(msg) || index}
+        className={`chat-message ${own ? 'own-message' : ''} ${msg.to ? 'private-message' : ''}`}
+      >
+        <span className="chat-sender">
+          {own ? 'You' : msg.userName}
+        </span>
+        {msg.to && (
+          <span className="chat-private">
+            {own ? ` → ${msg.toUserName || nameOf(msg.to)}` : ' (private)'}
+          </span>
+        )}
+        <span className="chat-time">[{msg.time}]</span>:{' '}
+        {msg.deleted ? (
+          <em className="chat-deleted">message deleted</em>
+        ) : msg.file ? (
+          renderFile(msg)
+        ) : isEditing ? (
+          <span className="chat-edit">
+            <input
+              type="text"
+              value={editing.text}
+              onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') saveEdit();
+                if (e.key === 'Escape') setEditing(null);
+              }}
+              autoFocus
+            />
+            <button onClick={saveEdit}>Save</button>
+            <button onClick={() => setEditing(null)}>Cancel</button>
+          </span>
+        ) : (
+          <span className="chat-text">{renderMarkdown(msg.message, keyOf(msg))}</span>
+        )}
+        {msg.editedAt && !msg.deleted && <span className="chat-edited"> (edited)</span>}
+        {msg.status === 'pending' && <span className="chat-status">Sending…</span>}
+        {msg.status === 'sent' && <span className="chat-status">✓</span>}
+        {msg.status === 'failed' && (
+          <span className="chat-status failed">
+            Not sent <button onClick={() => onRetry(msg)}>Retry</button>
+          </span>
+        )}
+        {msg.id && !msg.deleted && (
+          <div className="chat-actions">
+            {reactions.map(([emoji, users]) => (
+              <button
+                key={emoji}
+                className={`chat-reaction ${users.includes(selfId) ? 'mine' : ''}`}
+                title={users.map(nameOf).join(', ')}
+                onClick={() => onReact(msg, emoji)}
+              >
+                {emoji} {users.length}
+              </button>
+            ))}
+            <button className="chat-action" onClick={() => setPickerFor(pickerFor === msg.id ? null : msg.id)}>☺+</button>
+            {own && !isEditing && (
+              <>
+                <button className="chat-action" onClick={() => setEditing({ message: msg, text: msg.message })}>Edit</button>
+                <button className="chat-action" onClick={() => onDelete(msg)}>Delete</button>
+              </>
+            )}
+            {pickerFor === msg.id && (
+              <div className="chat-reaction-picker">
+                {REACTIONS.map((emoji) => (
+                  <button
+                    key={emoji}
+                    onClick={() => {
+                      onReact(msg, emoji);
+                      setPickerFor(null);
+                    }}
+                  >
+                    {emoji}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const others = Object.values(participants).filter((p) => p.id !== selfId);
+
+  return (
+    <div className="chat-container">
+      <h3>Live Chat</h3>
+      <div
+        className="chat-messages"
+        ref={chatRef}
+        onScroll={(e) => e.currentTarget.scrollTop === 0 && onLoadEarlier()}
+      >
+        {hasMoreHistory && (
+          <button className="chat-load-earlier" onClick={onLoadEarlier} disabled={loadingHistory}>
+            {loadingHistory ? 'Loading…' : 'Load earlier messages'}
+          </button>
+        )}
+        {messages.map(renderMessage)}
+      </div>
+      <div className="chat-typing">
+        {typingUsers.length > 0 && (
+          `${typingUsers.map((user) => user.userName).join(', ')} ${typingUsers.length === 1 ? 'is' : 'are'} typing…`
+        )}
+      </div>
+      <div className="chat-input">
+        <select value={activeRecipient} onChange={(e) => setRecipient(e.target.value)} title="Send to">
+          <option value="">Everyone</option>
+          {others.map((p) => (
+            <option key={p.id} value={p.id}>{p.userName}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={chatInput}
+          onChange={handleInputChange}
+          placeholder={activeRecipient ? `Message ${participants[activeRecipient].userName} privately...` : 'Type a message...'}
+          onKeyPress={(e) => e.key === 'Enter' && send()}
+        />
+        <input type="file" ref={fileInputRef} onChange={pickFile} hidden />
+        <button className="chat-attach" title="Share a file" onClick={() => fileInputRef.current.click()}>📎</button>
+        <button onClick={send}>Send</button>
+      </div>
+    </div>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createLevelMeter, listDevices, mediaConstraints, supportsSinkSelection } from '../lib/devices';
+
+const DEVICE_LABELS = {
+  videoInput: 'Camera',
+  audioInput: 'Microphone',
+  audioOutput: 'Speaker',
+};
+
+export const MicMeter = ({ stream }) => {
+  const [level, setLevel] = useState(0);
+  const track = stream?.getAudioTracks()[0];
+
+  useEffect(() => {
+    if (!track) return undefined;
+    const stop = createLevelMeter(track, (value) => setLevel(Math.round(value * 20) / 20));
+    return () => {
+      stop();
+      setLevel(0);
+    };
+  }, [track]);
+
+  return (
+    <div className="mic-meter" title="Microphone level">
+      <div className="mic-meter-level" style={{ width: `${level * 100}%` }} />
+    </div>
+  );
+};
+
+// Camera, microphone and speaker selection. In a call `stream` is the call's
+// own stream, so the preview shows what the others get; before that the
+// panel opens a preview of its own with the chosen devices.
+const DeviceSettings = ({ stream, preferences, onSelect, onClose }) => {
+  const [devices, setDevices] = useState({ audioInput: [], videoInput: [], audioOutput: [] });
+  const [previewStream, setPreviewStream] = useState(null);
+  const [error, setError] = useState('');
+  const videoRef = useRef();
+  const shownStream = stream || previewStream;
+  const { audioInput, videoInput } = preferences;
+
+  // Device names only show up once a camera or microphone is open, so list
+  // them again with the preview as well as when devices come and go
+  useEffect(() => {
+    const refresh = () => listDevices()
+      .then(setDevices)
+      .catch((err) => setError(`Could not list your devices: ${err.message}`));
+    refresh();
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [shownStream]);
+
+  useEffect(() => {
+    if (stream) return undefined;
+    let preview = null;
+    let cancelled = false;
+    navigator.mediaDevices.getUserMedia(mediaConstraints({ audioInput, videoInput }))
+      .then((opened) => {
+        if (cancelled) {
+          opened.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        preview = opened;
+        setPreviewStream(opened);
+        setError('');
+      })
+      .catch((err) => setError(`Could not open your camera or microphone: ${err.message}`));
+    return () => {
+      cancelled = true;
+      preview?.getTracks().forEach((track) => track.stop());
+    };
+  }, [stream, audioInput, videoInput]);
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.srcObject = shownStream;
+  }, [shownStream]);
+
+  return (
+    <div className="device-settings-backdrop" onClick={onClose}>
+      <div className="device-settings" onClick={(e) => e.stopPropagation()}>
+        <h3>Audio and video</h3>
+        <video ref={videoRef} autoPlay playsInline muted className="device-preview" />
+        <MicMeter stream={shownStream} />
+        {error && <p className="device-error">{error}</p>}
+        {Object.keys(DEVICE_LABELS)
+          .filter((key) => key !== 'audioOutput' || supportsSinkSelection)
+          .map((key) => (
+            <label key={key} className="device-option">
+              {DEVICE_LABELS[key]}
+              <select value={preferences[key]} onChange={(e) => onSelect(key, e.target.value)}>
+                <option value="">System default</option>
+                {devices[key].map((device, index) => (
+                  <option key={device.deviceId} value={device.deviceId}>
+                    {device.label || `${DEVICE_LABELS[key]} ${index + 1}`}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        <button onClick={onClose}>Done</button>
+      </div>
+    </div>
+  );
+};
+
+export default DeviceSettings;
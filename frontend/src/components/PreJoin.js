@@ -0,0 +1,48 @@
+import React, { useEffect, useRef } from 'react';
+import { MicMeter } from './DeviceSettings';
+
+const DEVICE_NAMES = { video: 'Camera', audio: 'Microphone' };
+
+// Preview of the camera and microphone on the join screen. The stream is the
+// one the call goes on with, so what is switched off here starts off there.
+const PreJoin = ({
+  stream,
+  errors,
+  isVideoOn,
+  isAudioOn,
+  onToggleVideo,
+  onToggleAudio,
+  onOpenSettings,
+}) => {
+  const videoRef = useRef();
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.srcObject = stream;
+  }, [stream]);
+
+  return (
+    <div className="prejoin">
+      <div className="prejoin-preview">
+        <video ref={videoRef} autoPlay playsInline muted className={isVideoOn ? '' : 'hidden'} />
+        {!isVideoOn && <div className="prejoin-camera-off">{stream ? 'Camera is off' : 'Starting camera…'}</div>}
+      </div>
+      <MicMeter stream={isAudioOn ? stream : null} />
+      {Object.entries(errors).map(([kind, message]) => (
+        <div key={kind} className="prejoin-error">
+          {DEVICE_NAMES[kind]}: {message}
+        </div>
+      ))}
+      <div className="prejoin-toggles">
+        <button className={isVideoOn ? '' : 'off'} onClick={onToggleVideo} disabled={!stream}>
+          {isVideoOn ? 'Camera on' : 'Camera off'}
+        </button>
+        <button className={isAudioOn ? '' : 'off'} onClick={onToggleAudio} disabled={!stream}>
+          {isAudioOn ? 'Microphone on' : 'Microphone off'}
+        </button>
+        <button onClick={onOpenSettings}>Devices</button>
+      </div>
+    </div>
+  );
+};
+
+export default PreJoin;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+const CANDIDATE_TYPES = {
+  host: 'Direct (local network)',
+  srflx: 'Direct (through NAT)',
+  prflx: 'Direct (through NAT)',
+  relay: 'Relayed (TURN)',
+};
+
+const show = (value, unit = '') => (value === null || value === undefined ? '–' : `${value}${unit}`);
+
+const resolution = ({ width, height, frameRate }) =>
+  (width ? `${width}×${height}${frameRate ? ` @ ${Math.round(frameRate)} fps` : ''}` : '–');
+
+// Connection details of every participant, refreshed as the stats come in
+const StatsPanel = ({ stats, participants, onExport, onClose }) => (
+  <div className="device-settings-backdrop" onClick={onClose}>
+    <div className="stats-panel" onClick={(e) => e.stopPropagation()}>
+      <h3>Connection stats</h3>
+      {!Object.keys(stats).length && <p>No connections to measure yet.</p>}
+      {Object.entries(stats).map(([userId, summary]) => (
+        <table key={userId}>
+          <caption>{participants[userId]?.userName || userId.slice(0, 8)}</caption>
+          <tbody>
+            <tr><th>Connection</th><td>{CANDIDATE_TYPES[summary.candidateType] || '–'}</td></tr>
+            <tr><th>Round trip</th><td>{show(summary.rtt, ' ms')}</td></tr>
+            <tr><th>Receiving</th><td>{show(summary.inbound.bitrate, ' kbps')}</td></tr>
+            <tr><th>Sending</th><td>{show(summary.outbound.bitrate, ' kbps')}</td></tr>
+            <tr><th>Packet loss</th><td>{show(summary.inbound.packetLoss, '%')}</td></tr>
+            <tr><th>Jitter</th><td>{show(summary.inbound.jitter, ' ms')}</td></tr>
+            <tr><th>Video in</th><td>{resolution(summary.inbound)}</td></tr>
+            <tr><th>Video out</th><td>{resolution(summary.outbound)}</td></tr>
+          </tbody>
+        </table>
+      ))}
+      <div className="stats-actions">
+        <button onClick={onExport}>Export JSON</button>
+        <button onClick={onClose}>Close</button>
+      </div>
+    </div>
+  </div>
+);
+
+export default StatsPanel;
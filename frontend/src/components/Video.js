@@ -1,8 +1,56 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
-import io from 'socket.io-client';
-import SimplePeer from 'simple-peer';
+import { SIGNALING_SERVER_URL } from '../config';
+import { FALLBACK_ICE_SERVERS, getIceServers } from '../lib/iceServers';
+import {
+  PEER_CHUNK_SIZE,
+  RELAY_CHUNK_SIZE,
+  createFileId,
+  decodeFrame,
+  encodeChunk,
+  encodeControl,
+  formatBytes,
+  sha256,
+  writeToPeer,
+} from '../lib/fileTransfer';
+import { createSfuSession, layerForTileCount } from '../lib/sfuClient';
+import { PerfectPeer } from '../lib/perfectPeer';
+import { createSignalingClient } from '../lib/signaling';
+import { canRecord, uploadRecording } from '../lib/recordingUpload';
+import { startMeetingRecording } from '../lib/meetingRecorder';
+import { createSpeakerDetector } from '../lib/activeSpeaker';
+import { qualityLevel, summarizeStats } from '../lib/connectionStats';
+import { createBandwidthAdapter, ENCODING_STEPS, LOWEST_STEP } from '../lib/bandwidth';
+import { addReceivedMessage, createClientId, mergeHistory, toChatEntry } from '../lib/chatMessages';
+import {
+  describeMediaError,
+  listDevices,
+  loadDevicePreferences,
+  mediaConstraints,
+  openLocalMedia,
+  saveDevicePreferences,
+  supportsSinkSelection,
+} from '../lib/devices';
+import ChatPanel from './ChatPanel';
+import DeviceSettings from './DeviceSettings';
+import PreJoin from './PreJoin';
+import StatsPanel from './StatsPanel';
 
-const SIGNALING_SERVER_URL = 'https://livemeet-ribm.onrender.com';
+const CHAT_ACK_TIMEOUT = 5000;
+const TYPING_TIMEOUT = 5000;
+const FILE_RELAY_TIMEOUT = 10000;
+const SFU_REQUEST_TIMEOUT = 10000;
+const USER_NAME_KEY = 'livemeet.userName';
+const STATS_INTERVAL = 2000;
+const SIGNAL_LABELS = ['Measuring connection…', 'Poor connection', 'Weak connection', 'Good connection', 'Excellent connection'];
+// A dropped peer gets a grace period to come back on its own, then ICE
+// restarts and, from the impolite side, a fresh connection; each attempt
+// has ICE_RESTART_TIMEOUT to succeed before the next one
+const ICE_GRACE_PERIOD = 3000;
+const ICE_RESTART_TIMEOUT = 10000;
+const MAX_PEER_RECOVERIES = 3;
+
+const initials = (name = '') =>
+  name.trim().split(/\s+/).slice(0, 2).map((word) => word[0]?.toUpperCase()).join('') || '?';
 
 class ErrorBoundary extends React.Component {
   state = { hasError: false };
@@ -27,19 +75,95 @@ const Video = () => {
   const [debugLog, setDebugLog] = useState([]);
   const [isVideoOn, setIsVideoOn] = useState(true);
   const [isAudioOn, setIsAudioOn] = useState(true);
-  const [isScreenSharing, setIsScreenSharing] = useState(false);
+  // Our screen share, and the room's presentation: who is presenting and
+  // the stream we get from them
+  const [screenStream, setScreenStream] = useState(null);
+  const [presentation, setPresentation] = useState(null);
+  const [presentationStream, setPresentationStream] = useState(null);
+  // The room's recording while the host records, the one whose notice we
+  // have seen, and the host's list of past recordings when it is open
+  const [recording, setRecording] = useState(null);
+  const [acknowledgedRecording, setAcknowledgedRecording] = useState(null);
+  const [recordingsList, setRecordingsList] = useState(null);
+  // Our own recording of the meeting, made in the browser
+  const [localRecorder, setLocalRecorder] = useState(null);
+  // Who is talking, whether the grid gives way to a large tile for them,
+  // and who is shown large regardless
+  const [activeSpeaker, setActiveSpeaker] = useState(null);
+  const [speakerView, setSpeakerView] = useState(false);
+  const [pinnedId, setPinnedId] = useState(null);
+  // Latest connection stats summary of each participant, by id
+  const [connectionStats, setConnectionStats] = useState({});
+  const [showStats, setShowStats] = useState(false);
+  // Audio-only: nobody sends us video, and we send ours at the lowest quality
+  const [lowBandwidth, setLowBandwidth] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState({});
+  const [participants, setParticipants] = useState({});
+  // Our participant id, which others know us by across reconnects
+  const [selfId, setSelfId] = useState(null);
+  const [devicePreferences, setDevicePreferences] = useState(loadDevicePreferences);
+  const [showDeviceSettings, setShowDeviceSettings] = useState(false);
+  // Why the camera or microphone could not be opened, by kind
+  const [mediaErrors, setMediaErrors] = useState({});
   const [messages, setMessages] = useState([]);
-  const [chatInput, setChatInput] = useState('');
+  const [typingUsers, setTypingUsers] = useState({});
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
+  const [loadingHistory, setLoadingHistory] = useState(false);
   const [showDebug, setShowDebug] = useState(false);
-  const [userName, setUserName] = useState('');
+  const [userName, setUserName] = useState(() => localStorage.getItem(USER_NAME_KEY) || '');
+  const [password, setPassword] = useState('');
+  const [inviteToken, setInviteToken] = useState('');
+  const [inviteOnly, setInviteOnly] = useState(false);
+  const [joinError, setJoinError] = useState('');
+  const [hostToken, setHostToken] = useState('');
+  const [hostId, setHostId] = useState(null);
+  const [roomLocked, setRoomLocked] = useState(false);
+  const [moderationMenu, setModerationMenu] = useState(null);
+  const [useLobby, setUseLobby] = useState(false);
+  const [lobbyEnabled, setLobbyEnabled] = useState(false);
+  const [lobbyQueue, setLobbyQueue] = useState([]);
+  const [isWaiting, setIsWaiting] = useState(false);
+  const [admissionToken, setAdmissionToken] = useState('');
+  const [mediaPreference, setMediaPreference] = useState('auto');
+  // 'mesh' (a peer connection per participant) or 'sfu', as the server decides
+  const [mediaMode, setMediaMode] = useState('mesh');
+  // Bumped to start a fresh SFU session, e.g. after the socket reconnects
+  const [sfuEpoch, setSfuEpoch] = useState(0);
 
+  const signalingRef = useRef(null);
   const socketRef = useRef();
+  // Socket listeners are registered once for the life of the connection and
+  // call the current render's handlers through this, by event name
+  const socketHandlersRef = useRef({});
   const userVideoRef = useRef();
   const peerVideoRefs = useRef({});
   const pendingCandidates = useRef({});
   const peersRef = useRef({});
-  const chatRef = useRef();
+  // Recovery attempts and the pending retry timer of dropped peers, by id
+  const recoveryRef = useRef({});
+  const typingTimers = useRef({});
+  // Chat messages waiting for a server acknowledgement, resent on reconnect
+  const outboxRef = useRef([]);
+  const iceServersRef = useRef(FALLBACK_ICE_SERVERS);
+  // File size limits announced by the server when we enter a room
+  const fileLimitsRef = useRef(null);
+  // Files being received, by transfer id
+  const incomingFilesRef = useRef({});
+  const fileUrlsRef = useRef([]);
+  const localStreamRef = useRef(null);
+  const devicePreferencesRef = useRef(devicePreferences);
+  // Handlers for media events, kept current like the socket handlers
+  const mediaHandlersRef = useRef({});
+  const mediaModeRef = useRef('mesh');
+  const sfuRef = useRef(null);
+  // Remote streams assembled from SFU consumers, by participant id
+  const sfuStreamsRef = useRef({});
+  const screenStreamRef = useRef(null);
+  const presentationRef = useRef(null);
+  // Screen share streams received from others, by participant id
+  const remoteScreensRef = useRef({});
+  const presentationVideoRef = useRef();
+  const lowBandwidthRef = useRef(false);
 
   const logDebug = useCallback((msg) => {
     console.log(msg);
@@ -47,7 +171,7 @@ const Video = () => {
   }, []);
 
   useEffect(() => {
-    const isSupportedBrowser = !!window.RTCPeerConnection && !!navigator.mediaDevices.getUserMedia;
+    const isSupportedBrowser = !!window.RTCPeerConnection && !!navigator.mediaDevices?.getUserMedia;
     if (!isSupportedBrowser) {
       logDebug('Warning: Your browser may not fully support WebRTC.');
       alert('Please use a modern browser like Chrome or Firefox for video calls.');
@@ -55,72 +179,73 @@ const Video = () => {
   }, [logDebug]);
 
   useEffect(() => {
-    socketRef.current = io(SIGNALING_SERVER_URL, {
-      transports: ['websocket', 'polling'],
-      reconnection: true,
-      reconnectionAttempts: Infinity,
-      reconnectionDelay: 1000,
-      reconnectionDelayMax: 5000,
-      randomizationFactor: 0.5,
-    });
-
-    socketRef.current.on('connect', () => {
-      logDebug('Connected to signaling server');
-      if (inRoom) {
-        logDebug('Rejoining room after reconnect');
-        socketRef.current.emit('join-room', roomId, socketRef.current.id, userName);
-      }
-    });
-    socketRef.current.on('connect_error', (err) => {
-      logDebug(`Socket connection error: ${err.message}`);
-      setTimeout(() => socketRef.current.connect(), 2000);
-    });
-    socketRef.current.on('reconnect', (attempt) => logDebug(`Reconnected after attempt ${attempt}`));
-    socketRef.current.on('reconnect_failed', () => {
-      logDebug('Reconnection failed. Retrying manually...');
-      socketRef.current.connect();
-    });
-
-    socketRef.current.on('user-joined', handleUserJoined);
-    socketRef.current.on('offer', handleOffer);
-    socketRef.current.on('answer', handleAnswer);
-    socketRef.current.on('ice-candidate', handleIceCandidate);
-    socketRef.current.on('user-left', handleUserLeft);
-    socketRef.current.on('chat-message', handleChatMessage);
+    // Invite links look like /r/:roomId?token=...
+    const match = window.location.pathname.match(/^\/r\/([^/]+)/);
+    if (match) {
+      setRoomId(decodeURIComponent(match[1]));
+      setInviteToken(new URLSearchParams(window.location.search).get('token') || '');
+    }
+  }, []);
 
-    const testIceServers = async () => {
-      const pc = new RTCPeerConnection({
-        iceServers: [
-          { urls: 'stun:stun.l.google.com:19302' },
-          { urls: 'stun:stun1.l.google.com:19302' },
-          { urls: 'stun:stun2.l.google.com:19302' },
-          {
-            urls: 'turn:openrelay.metered.ca:80',
-            username: 'openrelayproject',
-            credential: 'openrelayproject',
-          },
-          {
-            urls: 'turn:openrelay.metered.ca:443?transport=tcp',
-            username: 'openrelayproject',
-            credential: 'openrelayproject',
-          },
-        ],
-      });
-      pc.onicecandidate = (e) => {
-        if (e.candidate) {
-          logDebug(`ICE candidate generated: ${JSON.stringify(e.candidate)}`);
-        }
-      };
-      pc.createDataChannel('test');
-      await pc.createOffer().then(offer => pc.setLocalDescription(offer));
-      setTimeout(() => pc.close(), 5000);
+  useEffect(() => {
+    socketHandlersRef.current = {
+      session: handleSession,
+      'session-replaced': handleSessionReplaced,
+      disconnect: (reason) => logDebug(`Disconnected from signaling server: ${reason}`),
+      connect_error: (err) => logDebug(`Socket connection error: ${err.message}`),
+      'ice-servers': handleIceServers,
+      'room-roster': handleRoomRoster,
+      'user-joined': handleUserJoined,
+      offer: handleOffer,
+      answer: handleAnswer,
+      'ice-candidate': handleIceCandidate,
+      'user-left': handleUserLeft,
+      'chat-message': handleChatMessage,
+      'chat-history': handleChatHistory,
+      'chat-updated': handleChatUpdated,
+      typing: handleTyping,
+      'signaling-error': handleSignalingError,
+      'host-changed': handleHostChanged,
+      'room-locked': handleRoomLocked,
+      'force-mute': handleForceMute,
+      removed: handleRemoved,
+      'lobby-mode': (enabled) => setLobbyEnabled(enabled),
+      'lobby-updated': handleLobbyUpdated,
+      admitted: handleAdmitted,
+      'lobby-denied': handleLobbyDenied,
+      'file-limits': (limits) => {
+        fileLimitsRef.current = limits;
+      },
+      'file-relay': ({ from, frame }) => handleFileFrame(from, decodeFrame(frame), false),
+      'media-mode': handleMediaMode,
+      'sfu-new-producer': (producer) => sfuRef.current?.consume(producer),
+      'sfu-consumer-closed': ({ consumerId }) => sfuRef.current?.closeConsumer(consumerId),
+      presentation: handlePresentation,
+      recording: handleRecording,
+      'media-state': handleMediaState,
     };
-    testIceServers();
+    mediaHandlersRef.current = {
+      deviceChange: handleDeviceChange,
+      trackEnded: handleTrackEnded,
+      tileSources,
+    };
+  });
+
+  useEffect(() => {
+    const signaling = createSignalingClient(SIGNALING_SERVER_URL);
+    signalingRef.current = signaling;
+    socketRef.current = signaling.socket;
+    const unsubscribers = Object.keys(socketHandlersRef.current).map((event) =>
+      signaling.on(event, (...args) => socketHandlersRef.current[event](...args)));
+    const onDeviceChange = () => mediaHandlersRef.current.deviceChange();
+    navigator.mediaDevices?.addEventListener('devicechange', onDeviceChange);
 
     return () => {
-      socketRef.current.disconnect();
+      unsubscribers.forEach((off) => off());
+      navigator.mediaDevices?.removeEventListener('devicechange', onDeviceChange);
+      signaling.close();
     };
-  }, [logDebug, roomId, inRoom, userName]);
+  }, [logDebug]);
 
   useEffect(() => {
     if (!localStream || !inRoom) return;
@@ -143,24 +268,260 @@ const Video = () => {
   }, [localStream, inRoom, logDebug]);
 
   useEffect(() => {
-    if (chatRef.current) {
-      chatRef.current.scrollTop = chatRef.current.scrollHeight;
-    }
-  }, [messages]);
+    localStreamRef.current = localStream;
+  }, [localStream]);
 
-  const checkPermissions = async () => {
-    try {
-      const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
-      stream.getTracks().forEach(track => track.stop());
-      return true;
-    } catch (err) {
-      logDebug(`Permission check failed: ${err.name} - ${err.message}`);
-      return false;
+  useEffect(() => {
+    devicePreferencesRef.current = devicePreferences;
+    saveDevicePreferences(devicePreferences);
+  }, [devicePreferences]);
+
+  useEffect(() => {
+    localStorage.setItem(USER_NAME_KEY, userName);
+  }, [userName]);
+
+  // While the meeting is recorded, and once we have accepted the notice, our
+  // browser records our own camera and microphone and uploads them
+  const recordingId = recording && recording.id === acknowledgedRecording ? recording.id : null;
+  useEffect(() => {
+    if (!inRoom || !recordingId) return undefined;
+    const stream = localStreamRef.current;
+    if (!canRecord(stream)) {
+      logDebug('Nothing of ours to record');
+      return undefined;
     }
-  };
+    logDebug(`Recording ${recordingId}: uploading our camera and microphone`);
+    const stop = uploadRecording(new MediaStream(stream.getTracks()), {
+      roomId,
+      recordingId,
+      getToken: () => signalingRef.current.sessionToken,
+      log: logDebug,
+    });
+    return () => {
+      stop().then(() => logDebug(`Recording ${recordingId}: our part is uploaded`));
+    };
+  }, [inRoom, recordingId, roomId, logDebug]);
+
+  useEffect(() => {
+    if (!inRoom) return undefined;
+    const detector = createSpeakerDetector({
+      getSources: () => mediaHandlersRef.current.tileSources(),
+      onChange: setActiveSpeaker,
+    });
+    return () => {
+      detector.stop();
+      setActiveSpeaker(null);
+    };
+  }, [inRoom]);
+
+  // Peer connections are measured directly; through the SFU it is what we
+  // receive from each participant. In a mesh the samples also decide what
+  // each peer's copy of our camera may use.
+  useEffect(() => {
+    if (!inRoom) return undefined;
+    let previous = {};
+    let stopped = false;
+    const adapter = createBandwidthAdapter();
+    // { track, step } last applied to each peer connection
+    const applied = new WeakMap();
+
+    const adaptBandwidth = () => {
+      const camera = localStreamRef.current?.getVideoTracks()[0];
+      const peerEntries = Object.entries(peersRef.current).filter(([, peer]) => !peer.destroyed);
+      peerEntries.forEach(([id, peer]) => {
+        const step = lowBandwidthRef.current ? LOWEST_STEP : adapter.step(id, previous[id], peerEntries.length);
+        const last = applied.get(peer);
+        if (!camera || (last?.track === camera && last.step === step)) return;
+        peer.setEncoding(camera, ENCODING_STEPS[step])
+          .then((done) => {
+            if (!done) return;
+            applied.set(peer, { track: camera, step });
+            logDebug(`Sending video to ${shortId(id)} at up to ${ENCODING_STEPS[step].maxBitrate / 1000} kbps`);
+          })
+          .catch((err) => logDebug(`Could not change video quality for ${shortId(id)}: ${err.message}`));
+      });
+      Object.keys(previous).filter((id) => !peersRef.current[id]).forEach((id) => adapter.forget(id));
+    };
+
+    const sample = async () => {
+      const reports = mediaModeRef.current === 'sfu'
+        ? Object.keys(sfuStreamsRef.current).map((id) => [id, sfuRef.current?.getStats(id)])
+        : Object.entries(peersRef.current).filter(([, peer]) => !peer.destroyed).map(([id, peer]) => [id, peer.getStats()]);
+      const summaries = await Promise.all(reports.map(async ([id, report]) => {
+        try {
+          return [id, summarizeStats(await report, previous[id])];
+        } catch (err) {
+          return null;
+        }
+      }));
+      if (stopped) return;
+      previous = Object.fromEntries(summaries.filter(Boolean));
+      setConnectionStats(previous);
+      if (mediaModeRef.current !== 'sfu') adaptBandwidth();
+    };
+    const timer = setInterval(sample, STATS_INTERVAL);
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      setConnectionStats({});
+    };
+  }, [inRoom, logDebug]);
+
+  useEffect(() => {
+    lowBandwidthRef.current = lowBandwidth;
+    Object.values(peersRef.current).forEach((peer) => peer.setVideoReceiving(!lowBandwidth));
+    sfuRef.current?.setVideoPaused(lowBandwidth);
+  }, [lowBandwidth]);
+
+  // Everyone else shows our mic and camera state on our tile
+  useEffect(() => {
+    if (!inRoom) return;
+    socketRef.current.emit('media-state', { roomId, audio: isAudioOn, video: isVideoOn });
+  }, [inRoom, roomId, isAudioOn, isVideoOn]);
 
-  const joinRoom = async () => {
-    if (!roomId.trim()) {
+  // Presenters see their own screen, everyone else the presenter's
+  const shownPresentation = presentation && presentation.presenterId === selfId ? screenStream : presentationStream;
+  useEffect(() => {
+    const el = presentationVideoRef.current;
+    if (el && el.srcObject !== shownPresentation) el.srcObject = shownPresentation;
+  }, [presentation, shownPresentation]);
+
+  // The join screen opens the camera and microphone for its preview, and the
+  // call goes on with that same stream
+  useEffect(() => {
+    if (inRoom || isWaiting || localStreamRef.current) return undefined;
+    let cancelled = false;
+    openLocalMedia(devicePreferencesRef.current).then(({ stream, errors }) => {
+      if (cancelled) {
+        stream.getTracks().forEach((track) => track.stop());
+        return;
+      }
+      Object.entries(errors).forEach(([kind, message]) => logDebug(`Could not open ${kind}: ${message}`));
+      stream.getTracks().forEach((track) => {
+        track.addEventListener('ended', () => mediaHandlersRef.current.trackEnded(track));
+      });
+      setLocalStream(stream);
+      setMediaErrors(errors);
+      setIsVideoOn(stream.getVideoTracks().length > 0);
+      setIsAudioOn(stream.getAudioTracks().length > 0);
+    }).catch((err) => {
+      if (cancelled) return;
+      const message = describeMediaError(err);
+      logDebug(`Could not open camera or microphone: ${message}`);
+      setMediaErrors({ audio: message, video: message });
+      setIsVideoOn(false);
+      setIsAudioOn(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [inRoom, isWaiting, logDebug]);
+
+  // In SFU mode each client sends its tracks to the server once and receives
+  // everyone else's from it, instead of keeping a connection to every peer
+  useEffect(() => {
+    if (!inRoom || mediaMode !== 'sfu' || !localStreamRef.current) return;
+
+    Object.values(peersRef.current).forEach((peer) => {
+      peer.removeAllListeners('close');
+      peer.destroy();
+    });
+    peersRef.current = {};
+    pendingCandidates.current = {};
+    setPeers({});
+
+    const request = (event, data) => new Promise((resolve, reject) => {
+      socketRef.current.timeout(SFU_REQUEST_TIMEOUT).emit(event, { roomId, ...data }, (err, res) => {
+        if (err) {
+          reject(new Error(`${event} timed out`));
+        } else if (!res.ok) {
+          reject(new Error(res.error.message));
+        } else {
+          resolve(res);
+        }
+      });
+    });
+    const session = createSfuSession({
+      request,
+      log: logDebug,
+      onTrack: (peerId, track, source) => {
+        logDebug(`Receiving ${source} ${track.kind} from ${peerId} through the SFU`);
+        if (source === 'screen') {
+          const screen = remoteScreensRef.current[peerId] || new MediaStream();
+          screen.addTrack(track);
+          remoteScreensRef.current[peerId] = screen;
+          if (presentationRef.current?.presenterId === peerId) setPresentationStream(screen);
+          return;
+        }
+        const stream = sfuStreamsRef.current[peerId] || new MediaStream();
+        stream.addTrack(track);
+        sfuStreamsRef.current[peerId] = stream;
+        const el = peerVideoRefs.current[peerId];
+        if (el && el.srcObject !== stream) {
+          el.srcObject = stream;
+          el.play().catch((err) => logDebug(`Error playing video for ${peerId}: ${err.message}`));
+        }
+        setConnectionStatus((prev) => ({ ...prev, [peerId]: 'connected' }));
+      },
+      onTrackEnded: (peerId, track, source) => {
+        const streams = source === 'screen' ? remoteScreensRef.current : sfuStreamsRef.current;
+        streams[peerId]?.removeTrack(track);
+      },
+    });
+    sfuRef.current = session;
+    session.setVideoPaused(lowBandwidthRef.current);
+    // Screen shares received over the peer connections went with them
+    remoteScreensRef.current = {};
+    setPresentationStream(null);
+    logDebug('Connecting to the SFU');
+    session.start(localStreamRef.current)
+      .then(() => {
+        screenStreamRef.current?.getTracks().forEach((track) => session.addTrack(track, 'screen'));
+        logDebug('Sending and receiving media through the SFU');
+      })
+      .catch((err) => logDebug(`SFU session failed: ${err.message}`));
+
+    return () => {
+      session.close();
+      sfuRef.current = null;
+      sfuStreamsRef.current = {};
+      remoteScreensRef.current = {};
+    };
+  }, [inRoom, mediaMode, sfuEpoch, roomId, logDebug]);
+
+  // Fewer, larger tiles get the sharper simulcast layers
+  useEffect(() => {
+    sfuRef.current?.setLayer(layerForTileCount(Object.keys(participants).length));
+  }, [participants, mediaMode, sfuEpoch]);
+
+  // Try the servers we entered the room with, and keep TURN credentials fresh
+  // for peers created later in the call
+  useEffect(() => {
+    if (!inRoom) return;
+    const testIceServers = async () => {
+      const pc = new RTCPeerConnection({ iceServers: iceServersRef.current });
+      pc.onicecandidate = (e) => {
+        if (e.candidate) {
+          logDebug(`ICE candidate generated: ${JSON.stringify(e.candidate)}`);
+        }
+      };
+      pc.createDataChannel('test');
+      await pc.createOffer().then(offer => pc.setLocalDescription(offer));
+      setTimeout(() => pc.close(), 5000);
+    };
+    testIceServers();
+    const refresh = () => getIceServers(signalingRef.current.sessionToken)
+      .then((servers) => {
+        iceServersRef.current = servers;
+      })
+      .catch((err) => logDebug(`Could not refresh ICE servers, keeping the current ones: ${err.message}`));
+    const interval = setInterval(refresh, 60000);
+    return () => clearInterval(interval);
+  }, [inRoom, logDebug]);
+
+  const joinRoom = async (targetRoomId = roomId, accessToken = inviteToken) => {
+    setJoinError('');
+    if (!targetRoomId.trim()) {
       logDebug('Please enter a Room ID.');
       alert('Please enter a Room ID.');
       return;
@@ -171,34 +532,262 @@ const Video = () => {
       return;
     }
 
-    if (!(await checkPermissions())) {
-      logDebug('Camera/microphone permissions denied.');
-      alert('Please grant camera and microphone permissions.');
+    if (!localStream) {
+      setJoinError('Still starting your camera and microphone, one moment…');
+      return;
+    }
+
+    logDebug(`Joining room: ${targetRoomId} as ${userName}`);
+    logDebug(`Local stream tracks: ${localStream.getTracks().map(t => `${t.kind}:${t.enabled}`).join(', ')}`);
+
+    const response = await new Promise((resolve) => {
+      socketRef.current.timeout(10000).emit('join-room', targetRoomId, signalingRef.current.participantId, userName, {
+        media: { audio: isAudioOn, video: isVideoOn },
+        token: accessToken,
+        password,
+      }, (err, res) => resolve(err ? { ok: false, error: { message: 'Signaling server did not respond' } } : res));
+    });
+    if (!response.ok) {
+      logDebug(`Join rejected: ${response.error.message}`);
+      setJoinError(response.error.message);
+      return;
+    }
+    if (response.waiting) {
+      logDebug('Waiting in the lobby for the host to admit you');
+      setIsWaiting(true);
       return;
     }
+    setInRoom(true);
+  };
+
+  // Back to the join screen, which keeps the preview going
+  const stopWaiting = () => {
+    setIsWaiting(false);
+  };
+
+  const cancelWaiting = () => {
+    logDebug('Left the lobby');
+    socketRef.current.emit('leave-room', roomId);
+    stopWaiting();
+  };
 
-    logDebug(`Joining room: ${roomId} as ${userName}`);
+  const createRoom = async () => {
+    setJoinError('');
+    if (!userName.trim()) {
+      setJoinError('Please enter a username.');
+      return;
+    }
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
-      setLocalStream(stream);
-      setIsVideoOn(true);
-      setIsAudioOn(true);
-      logDebug('Local stream acquired successfully.');
-      logDebug(`Local stream tracks: ${stream.getTracks().map(t => `${t.kind}:${t.enabled}`).join(', ')}`);
+      const res = await fetch(`${SIGNALING_SERVER_URL}/api/rooms`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          roomId: roomId.trim() || undefined,
+          password: password || undefined,
+          inviteOnly,
+          lobby: useLobby,
+          mediaMode: mediaPreference,
+        }),
+      });
+      const room = await res.json();
+      if (!res.ok) {
+        setJoinError(room.error);
+        return;
+      }
+      logDebug(`Created room ${room.roomId}`);
+      setRoomId(room.roomId);
+      setInviteToken(room.inviteToken);
+      setHostToken(room.hostToken);
+      await joinRoom(room.roomId, room.hostToken);
     } catch (err) {
-      logDebug(`Error accessing media: ${err.name} - ${err.message}`);
-      alert('Failed to access camera/microphone. Please check permissions or devices.');
-      return;
+      logDebug(`Error creating room: ${err.message}`);
+      setJoinError('Could not create room. Please try again.');
     }
+  };
 
-    socketRef.current.emit('join-room', roomId, socketRef.current.id, userName);
-    setInRoom(true);
+  const copyInviteLink = () => {
+    const link = `${window.location.origin}/r/${encodeURIComponent(roomId)}${inviteToken ? `?token=${inviteToken}` : ''}`;
+    navigator.clipboard.writeText(link)
+      .then(() => logDebug('Invite link copied to clipboard'))
+      .catch(() => window.prompt('Copy this invite link:', link));
+  };
+
+  const teardownRoom = () => {
+    Object.values(peersRef.current).forEach((peer) => peer.destroy());
+    peersRef.current = {};
+    peerVideoRefs.current = {};
+    pendingCandidates.current = {};
+    Object.keys(recoveryRef.current).forEach((id) => clearRecovery(id, true));
+
+    if (localStream) {
+      localStream.getTracks().forEach((track) => track.stop());
+    }
+    screenStreamRef.current?.getTracks().forEach((track) => track.stop());
+    screenStreamRef.current = null;
+    presentationRef.current = null;
+    remoteScreensRef.current = {};
+    if (userVideoRef.current) {
+      userVideoRef.current.srcObject = null;
+    }
+
+    setPeers({});
+    setParticipants({});
+    setConnectionStatus({});
+    setMessages([]);
+    setHasMoreHistory(false);
+    outboxRef.current = [];
+    incomingFilesRef.current = {};
+    fileUrlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+    fileUrlsRef.current = [];
+    Object.values(typingTimers.current).forEach(clearTimeout);
+    typingTimers.current = {};
+    setTypingUsers({});
+    setLocalStream(null);
+    setScreenStream(null);
+    setPresentation(null);
+    setPresentationStream(null);
+    setRecording(null);
+    setRecordingsList(null);
+    // Leaving saves what was recorded so far
+    localRecorder?.stop();
+    setLocalRecorder(null);
+    setPinnedId(null);
+    setHostId(null);
+    setRoomLocked(false);
+    setModerationMenu(null);
+    setLobbyEnabled(false);
+    setLobbyQueue([]);
+    setAdmissionToken('');
+    mediaModeRef.current = 'mesh';
+    setMediaMode('mesh');
+    setInRoom(false);
+  };
+
+  const leaveRoom = () => {
+    logDebug(`Leaving room: ${roomId}`);
+    socketRef.current.emit('leave-room', roomId);
+    teardownRoom();
+  };
+
+  // Adding or removing a local track renegotiates every peer connection
+  const addLocalTrack = (track) => {
+    const stream = localStreamRef.current;
+    stream.addTrack(track);
+    Object.values(peersRef.current).forEach((peer) => peer.addTrack(track, stream));
+    sfuRef.current?.addTrack(track);
+    track.addEventListener('ended', () => handleTrackEnded(track));
+  };
+
+  const removeLocalTrack = (track) => {
+    logDebug(`Local ${track.kind} track removed`);
+    localStreamRef.current?.removeTrack(track);
+    Object.values(peersRef.current).forEach((peer) => peer.removeTrack(track));
+    sfuRef.current?.removeTrack(track);
+    if (track.kind === 'video') {
+      setIsVideoOn(false);
+    } else {
+      setIsAudioOn(false);
+    }
+  };
+
+  // Sends a different camera or microphone from now on. Peers and the SFU
+  // swap the track in place, without renegotiating. Returns false if there
+  // is no track of that kind to replace or the device can not be opened.
+  const switchInput = async (kind, deviceId) => {
+    const stream = localStreamRef.current;
+    const [old] = (kind === 'audio' ? stream?.getAudioTracks() : stream?.getVideoTracks()) || [];
+    if (!old) return false;
+    let track;
+    try {
+      const constraints = mediaConstraints({ [`${kind}Input`]: deviceId }, { audio: kind === 'audio', video: kind === 'video' });
+      [track] = (await navigator.mediaDevices.getUserMedia(constraints)).getTracks();
+    } catch (err) {
+      logDebug(`Could not open ${kind} device: ${err.name} - ${err.message}`);
+      return false;
+    }
+    track.enabled = old.enabled;
+    stream.removeTrack(old);
+    stream.addTrack(track);
+    track.addEventListener('ended', () => handleTrackEnded(track));
+    Object.values(peersRef.current).forEach((peer) => peer.replaceTrack(old, track));
+    sfuRef.current?.replaceTrack(old, track);
+    old.stop();
+    logDebug(`Now sending ${kind} from ${track.label || 'the default device'}`);
+    return true;
+  };
+
+  // A device went away, e.g. an unplugged headset: carry on with the default
+  // device of that kind if there still is one
+  const handleTrackEnded = async (track) => {
+    if (!localStreamRef.current?.getTracks().includes(track)) return;
+    logDebug(`Local ${track.kind} device went away`);
+    if (!(await switchInput(track.kind, ''))) {
+      removeLocalTrack(track);
+    }
+  };
+
+  // Go back to a chosen device when it is plugged in again
+  const handleDeviceChange = async () => {
+    const stream = localStreamRef.current;
+    if (!stream) return;
+    const devices = await listDevices();
+    [['audio', 'audioInput', stream.getAudioTracks()[0]], ['video', 'videoInput', stream.getVideoTracks()[0]]]
+      .forEach(([kind, key, track]) => {
+        const wanted = devicePreferencesRef.current[key];
+        if (!track || !wanted || track.getSettings().deviceId === wanted) return;
+        if (devices[key].some((device) => device.deviceId === wanted)) {
+          switchInput(kind, wanted);
+        }
+      });
+  };
+
+  const applyAudioOutput = (el, deviceId) => {
+    if (!supportsSinkSelection) return;
+    el.setSinkId(deviceId).catch((err) => logDebug(`Could not switch speaker: ${err.message}`));
+  };
+
+  const selectDevice = (key, deviceId) => {
+    setDevicePreferences((prev) => ({ ...prev, [key]: deviceId }));
+    if (key === 'audioOutput') {
+      [...Object.values(peerVideoRefs.current), presentationVideoRef.current]
+        .filter(Boolean)
+        .forEach((el) => applyAudioOutput(el, deviceId));
+    } else if (key === 'audioInput') {
+      switchInput('audio', deviceId);
+    } else {
+      switchInput('video', deviceId);
+    }
+  };
+
+  // Opens a camera or microphone we do not have a track for, e.g. one that
+  // was blocked or unplugged earlier
+  const addInput = async (kind) => {
+    try {
+      const constraints = mediaConstraints(devicePreferencesRef.current, { audio: kind === 'audio', video: kind === 'video' });
+      const [track] = (await navigator.mediaDevices.getUserMedia(constraints)).getTracks();
+      addLocalTrack(track);
+      setMediaErrors(({ [kind]: fixed, ...rest }) => rest);
+      if (kind === 'video') {
+        setIsVideoOn(true);
+      } else {
+        setIsAudioOn(true);
+      }
+      logDebug(`${kind === 'video' ? 'Camera' : 'Microphone'} added`);
+    } catch (err) {
+      logDebug(`Could not start ${kind}: ${err.name} - ${err.message}`);
+      setMediaErrors((prev) => ({ ...prev, [kind]: describeMediaError(err) }));
+      if (inRoom) {
+        alert(`Could not start your ${kind === 'video' ? 'camera' : 'microphone'}: ${describeMediaError(err)}`);
+      }
+    }
   };
 
   const toggleVideo = () => {
     if (localStream) {
       const videoTrack = localStream.getVideoTracks()[0];
-      if (videoTrack) {
+      if (!videoTrack) {
+        addInput('video');
+      } else {
         videoTrack.enabled = !videoTrack.enabled;
         setIsVideoOn(videoTrack.enabled);
         logDebug(`Video track ${videoTrack.enabled ? 'enabled' : 'disabled'}`);
@@ -209,141 +798,121 @@ const Video = () => {
   const toggleAudio = () => {
     if (localStream) {
       const audioTrack = localStream.getAudioTracks()[0];
-      if (audioTrack) {
+      if (!audioTrack) {
+        addInput('audio');
+      } else {
         audioTrack.enabled = !audioTrack.enabled;
         setIsAudioOn(audioTrack.enabled);
-        logDebug(`Audio track ${audioTrack.enabled ? 'disabled' : 'enabled'}`);
+        logDebug(`Audio track ${audioTrack.enabled ? 'enabled' : 'disabled'}`);
       }
     }
   };
 
-  const toggleScreenShare = async () => {
-    if (!isScreenSharing) {
-      try {
-        const screenStream = await navigator.mediaDevices.getDisplayMedia({ video: true });
-        const screenTrack = screenStream.getVideoTracks()[0];
-
-        if (localStream) {
-          localStream.getVideoTracks().forEach(track => track.stop());
-        }
-
-        Object.values(peersRef.current).forEach(peer => {
-          const sender = peer._pc.getSenders().find(s => s.track?.kind === 'video');
-          if (sender) {
-            sender.replaceTrack(screenTrack);
-            logDebug(`Replaced video track with screen share for peer ${peer._id || 'unknown'}`);
-          }
-        });
-
-        const assignScreenStream = (attempt = 1) => {
-          if (userVideoRef.current) {
-            userVideoRef.current.srcObject = screenStream;
-            userVideoRef.current.play().catch(err => logDebug(`Error playing screen share: ${err.message}`));
-            logDebug('Screen stream assigned to local video element.');
-          } else if (attempt <= 10) {
-            logDebug(`Retrying screen stream assignment (${attempt}/10)...`);
-            setTimeout(() => assignScreenStream(attempt + 1), 1000);
-          } else {
-            logDebug('Failed to assign screen stream after 10 attempts');
-          }
-        };
-        assignScreenStream();
-
-        setLocalStream(screenStream);
-        setIsScreenSharing(true);
-
-        screenTrack.onended = () => {
-          logDebug('Screen sharing stopped by user.');
-          revertToCamera();
-        };
-      } catch (err) {
-        logDebug(`Error starting screen share: ${err.message}`);
-        alert('Failed to start screen sharing. Please try again.');
-      }
-    } else {
-      revertToCamera();
+  // The screen goes out as a stream of its own next to the camera, with the
+  // tab or system audio if the browser offers it. The server lets one
+  // participant present at a time.
+  const startScreenShare = async () => {
+    if (presentationRef.current) {
+      alert(`${participants[presentationRef.current.presenterId]?.userName || 'Someone'} is already presenting.`);
+      return;
     }
-  };
-
-  const revertToCamera = async () => {
+    let stream;
     try {
-      const cameraStream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
-      const cameraTrack = cameraStream.getVideoTracks()[0];
-
-      if (localStream) {
-        localStream.getVideoTracks().forEach(track => track.stop());
+      stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+    } catch (err) {
+      // Also what cancelling the browser's picker looks like
+      logDebug(`Screen share not started: ${err.message}`);
+      return;
+    }
+    const stopTracks = () => stream.getTracks().forEach((track) => track.stop());
+    socketRef.current.timeout(10000).emit('start-presenting', { roomId, streamId: stream.id }, (err, res) => {
+      if (err || !res.ok) {
+        stopTracks();
+        logDebug(`Could not start presenting: ${err ? 'timed out' : res.error.message}`);
+        alert(err ? 'Could not start presenting. Please try again.' : res.error.message);
+        return;
       }
-
-      Object.values(peersRef.current).forEach(peer => {
-        const sender = peer._pc.getSenders().find(s => s.track?.kind === 'video');
-        if (sender) {
-          sender.replaceTrack(cameraTrack);
-          logDebug(`Replaced video track with camera for peer ${peer._id || 'unknown'}`);
-        }
+      screenStreamRef.current = stream;
+      setScreenStream(stream);
+      stream.getTracks().forEach((track) => {
+        Object.values(peersRef.current).forEach((peer) => peer.addTrack(track, stream));
+        sfuRef.current?.addTrack(track, 'screen');
       });
+      // Sharing can also be ended from the browser's own controls
+      stream.getVideoTracks()[0]?.addEventListener('ended', () => stopScreenShare(stream));
+      logDebug(`Presenting ${stream.getTracks().map((track) => track.kind).join(' and ')}`);
+    });
+  };
 
-      const assignCameraStream = (attempt = 1) => {
-        if (userVideoRef.current) {
-          userVideoRef.current.srcObject = cameraStream;
-          userVideoRef.current.play().catch(err => logDebug(`Error playing camera stream: ${err.message}`));
-          logDebug('Camera stream assigned to local video element.');
-        } else if (attempt <= 10) {
-          logDebug(`Retrying camera stream assignment (${attempt}/10)...`);
-          setTimeout(() => assignCameraStream(attempt + 1), 1000);
-        } else {
-          logDebug('Failed to assign camera stream after 10 attempts');
-        }
-      };
-      assignCameraStream();
+  const stopScreenShare = (stream = screenStreamRef.current) => {
+    if (!stream || stream !== screenStreamRef.current) return;
+    stream.getTracks().forEach((track) => {
+      Object.values(peersRef.current).forEach((peer) => peer.removeTrack(track));
+      sfuRef.current?.removeTrack(track);
+      track.stop();
+    });
+    screenStreamRef.current = null;
+    setScreenStream(null);
+    socketRef.current.emit('stop-presenting', { roomId });
+    logDebug('Stopped presenting');
+  };
 
-      setLocalStream(cameraStream);
-      setIsScreenSharing(false);
-    } catch (err) {
-      logDebug(`Error reverting to camera: ${err.message}`);
-      alert('Failed to revert to camera. Please check permissions or devices.');
-    }
-  };
-
-  const createPeer = (userId, initiator) => {
-    logDebug(`Creating peer for ${userId}, initiator: ${initiator}`);
-    const peer = new SimplePeer({
-      initiator,
-      trickle: true,
-      stream: localStream,
-      config: {
-        iceServers: [
-          { urls: 'stun:stun.l.google.com:19302' },
-          { urls: 'stun:stun1.l.google.com:19302' },
-          { urls: 'stun:stun2.l.google.com:19302' },
-          {
-            urls: 'turn:openrelay.metered.ca:80',
-            username: 'openrelayproject',
-            credential: 'openrelayproject',
-          },
-          {
-            urls: 'turn:openrelay.metered.ca:443?transport=tcp',
-            username: 'openrelayproject',
-            credential: 'openrelayproject',
-          },
-        ],
-      },
+  const handlePresentation = (next) => {
+    presentationRef.current = next;
+    setPresentation(next);
+    if (!next) {
+      logDebug('Presentation ended');
+      setPresentationStream(null);
+      return;
+    }
+    logDebug(`${shortId(next.presenterId)} is presenting`);
+    const screen = remoteScreensRef.current[next.presenterId];
+    // Peer-to-peer the stream keeps the id the presenter announced
+    const matches = screen && (mediaModeRef.current === 'sfu' || screen.id === next.streamId);
+    setPresentationStream(matches ? screen : null);
+  };
+
+  // Both ends create a peer for each other, newcomers from the roster and
+  // members on user-joined, and either side may offer. Comparing ids gives
+  // the two ends opposite politeness for resolving colliding offers.
+  const createPeer = (userId) => {
+    const polite = signalingRef.current.participantId < userId;
+    logDebug(`Creating peer for ${userId} (${polite ? 'polite' : 'impolite'})`);
+    const peer = new PerfectPeer({
+      polite,
+      stream: localStreamRef.current,
+      config: { iceServers: iceServersRef.current },
     });
 
+    const screen = screenStreamRef.current;
+    screen?.getTracks().forEach((track) => peer.addTrack(track, screen));
+    if (lowBandwidthRef.current) peer.setVideoReceiving(false);
+
+    // Events from a peer that has since been replaced are ignored
+    const isCurrent = () => peersRef.current[userId] === peer;
+
     peer.on('signal', (signal) => {
       setTimeout(() => {
+        if (peer.destroyed) return;
+        const { session } = peer;
         if (signal.type === 'offer') {
-          socketRef.current.emit('offer', { signal, to: userId });
+          socketRef.current.emit('offer', { signal, to: userId, session });
         } else if (signal.type === 'answer') {
-          socketRef.current.emit('answer', { signal, to: userId });
+          socketRef.current.emit('answer', { signal, to: userId, session });
         } else if (signal.candidate) {
-          socketRef.current.emit('ice-candidate', { candidate: signal.candidate, to: userId });
+          socketRef.current.emit('ice-candidate', { candidate: signal.candidate, to: userId, session });
         }
       }, 100);
     });
 
     peer.on('stream', (stream) => {
       logDebug(`Received stream from ${userId}, tracks: ${stream.getTracks().map(t => `${t.kind}:${t.enabled}`).join(', ')}`);
-      peersRef.current[userId].remoteStream = stream;
+      if (!isCurrent()) return;
+      if (stream.id === presentationRef.current?.streamId || stream !== peer.remoteStream) {
+        remoteScreensRef.current[userId] = stream;
+        if (presentationRef.current?.presenterId === userId) setPresentationStream(stream);
+        return;
+      }
       const assignPeerStream = (attempt = 1) => {
         if (peerVideoRefs.current[userId]) {
           peerVideoRefs.current[userId].srcObject = stream;
@@ -363,21 +932,33 @@ const Video = () => {
       assignPeerStream();
     });
 
+    peer.on('data', (data) => handleFileFrame(userId, decodeFrame(data), true));
+
     peer.on('connect', () => {
       logDebug(`Peer connection established with ${userId}`);
       setConnectionStatus((prev) => ({ ...prev, [userId]: 'connected' }));
     });
     peer.on('error', (err) => {
       logDebug(`Peer error (${userId}): ${err.message}`);
+      if (!isCurrent()) return;
       setConnectionStatus((prev) => ({ ...prev, [userId]: 'failed' }));
     });
     peer.on('close', () => {
       logDebug(`Peer connection closed for ${userId}`);
+      if (!isCurrent()) return;
       setConnectionStatus((prev) => ({ ...prev, [userId]: 'disconnected' }));
     });
-    peer.on('iceconnectionstatechange', () => {
-      const state = peer._pc.iceConnectionState;
+    peer.on('iceconnectionstatechange', (state) => {
       logDebug(`ICE connection state for ${userId}: ${state}`);
+      if (!isCurrent()) return;
+      if (state === 'connected' || state === 'completed') {
+        clearRecovery(userId, true);
+      } else if (state === 'disconnected' || state === 'failed') {
+        setConnectionStatus((prev) => ({ ...prev, [userId]: 'reconnecting' }));
+        // 'disconnected' often clears up by itself; 'failed' never does
+        scheduleRecovery(userId, state === 'failed' ? 0 : ICE_GRACE_PERIOD);
+        return;
+      }
       setConnectionStatus((prev) => ({ ...prev, [userId]: state }));
     });
 
@@ -392,29 +973,144 @@ const Video = () => {
     return peer;
   };
 
-  const handleUserJoined = (userId, userName) => {
-    logDebug(`User joined: ${userId} (${userName}), current peers: ${Object.keys(peersRef.current)}`);
-    setConnectionStatus((prev) => ({ ...prev, [userId]: { status: 'connecting', userName } }));
-    const peer = createPeer(userId, true);
+  const connectToPeer = (userId) => {
+    if (peersRef.current[userId]) return peersRef.current[userId];
+    const peer = createPeer(userId);
     setPeers((prev) => ({ ...prev, [userId]: peer }));
+    return peer;
+  };
+
+  // Starts a new connection to a peer in place of the current one. Signals
+  // still in flight for the old connection are dropped by session.
+  const replacePeer = (userId) => {
+    const old = peersRef.current[userId];
+    const peer = createPeer(userId);
+    if (old) {
+      peer.staleRemoteSession = old.remoteSession;
+      old.destroy();
+    }
+    setPeers((prev) => ({ ...prev, [userId]: peer }));
+    setConnectionStatus((prev) => ({ ...prev, [userId]: 'reconnecting' }));
+    return peer;
+  };
+
+  const clearRecovery = (userId, reset) => {
+    const entry = recoveryRef.current[userId];
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    if (reset) delete recoveryRef.current[userId];
+  };
+
+  const scheduleRecovery = (userId, delay) => {
+    if (!recoveryRef.current[userId]) {
+      recoveryRef.current[userId] = { attempts: 0, timer: null };
+    }
+    const entry = recoveryRef.current[userId];
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      recoverPeer(userId);
+    }, delay);
+  };
+
+  const recoverPeer = (userId) => {
+    const peer = peersRef.current[userId];
+    const entry = recoveryRef.current[userId];
+    if (!peer || !entry) return;
+    if (peer.iceConnectionState === 'connected' || peer.iceConnectionState === 'completed') {
+      clearRecovery(userId, true);
+      return;
+    }
+    // Nothing gets through to them until the socket is back
+    if (!socketRef.current.connected) {
+      scheduleRecovery(userId, ICE_GRACE_PERIOD);
+      return;
+    }
+    if (entry.attempts >= MAX_PEER_RECOVERIES) {
+      logDebug(`Giving up on ${userId} after ${entry.attempts} recovery attempts`);
+      setConnectionStatus((prev) => ({ ...prev, [userId]: 'failed' }));
+      return;
+    }
+    entry.attempts += 1;
+    // Only one side re-creates the connection, so the two ends do not
+    // replace each other's fresh attempt
+    if (entry.attempts === 1 || peer.polite) {
+      logDebug(`Restarting ICE with ${userId} (attempt ${entry.attempts}/${MAX_PEER_RECOVERIES})`);
+      peer.restartIce();
+    } else {
+      logDebug(`Re-creating connection to ${userId} (attempt ${entry.attempts}/${MAX_PEER_RECOVERIES})`);
+      replacePeer(userId);
+    }
+    scheduleRecovery(userId, ICE_RESTART_TIMEOUT);
+  };
+
+  const retryPeer = (userId) => {
+    clearRecovery(userId, true);
+    replacePeer(userId);
+  };
+
+  // The peer a signal from `from` belongs to, or null if it is for a
+  // connection we no longer have. An offer from a new session means the
+  // other side started over, so we follow.
+  const peerForSignal = (from, session, isOffer) => {
+    let peer = peersRef.current[from];
+    if (!peer) return isOffer ? connectToPeer(from) : null;
+    if (session && session === peer.staleRemoteSession) return null;
+    if (session && peer.remoteSession && session !== peer.remoteSession) {
+      if (!isOffer) return null;
+      logDebug(`${from} started a new connection, replacing ours`);
+      peer = replacePeer(from);
+    }
+    if (session && !peer.remoteSession) peer.remoteSession = session;
+    return peer;
+  };
+
+  // Everyone else in the room, sent each time we enter it. After a reconnect
+  // anyone missing from it left while we were away.
+  // Sent as we enter a room, before anyone negotiates with us
+  const handleIceServers = ({ iceServers }) => {
+    iceServersRef.current = iceServers;
+    logDebug(`Using ${iceServersRef.current.length} ICE server entries`);
+  };
+
+  const handleRoomRoster = (roster) => {
+    logDebug(`Room roster: ${roster.map((p) => `${p.id} (${p.userName})`).join(', ') || 'empty'}`);
+    const present = new Set(roster.map((p) => p.id));
+    new Set([...Object.keys(participants), ...Object.keys(peersRef.current)])
+      .forEach((id) => !present.has(id) && handleUserLeft(id));
+    setParticipants(Object.fromEntries(roster.map((p) => [p.id, p])));
+    if (mediaModeRef.current === 'sfu') return;
+    roster.filter((p) => !peersRef.current[p.id]).forEach((p) => {
+      setConnectionStatus((prev) => ({ ...prev, [p.id]: 'connecting' }));
+      connectToPeer(p.id);
+    });
+  };
+
+  const handleUserJoined = (userId, userName, media) => {
+    logDebug(`User joined: ${userId} (${userName}), current peers: ${Object.keys(peersRef.current)}`);
+    setParticipants((prev) => ({ ...prev, [userId]: { id: userId, userName, media } }));
+    setConnectionStatus((prev) => ({ ...prev, [userId]: 'connecting' }));
+    // Their media arrives through the SFU once they start producing
+    if (mediaModeRef.current === 'sfu') return;
+    connectToPeer(userId);
+  };
+
+  const handleMediaState = ({ id, media }) => {
+    logDebug(`${shortId(id)} turned their mic ${media.audio ? 'on' : 'off'} and camera ${media.video ? 'on' : 'off'}`);
+    setParticipants((prev) => (prev[id] ? { ...prev, [id]: { ...prev[id], media } } : prev));
   };
 
   const handleOffer = (data) => {
     logDebug(`Received offer from ${data.from}`);
-    let peer = peersRef.current[data.from];
-    if (!peer) {
-      peer = createPeer(data.from, false);
-      peersRef.current[data.from] = peer;
-      setPeers((prev) => ({ ...prev, [data.from]: peer }));
-    }
-    peer.signal(data.signal);
+    if (mediaModeRef.current === 'sfu') return;
+    peerForSignal(data.from, data.session, true)?.signal(data.signal);
   };
 
   const handleAnswer = (data) => {
     logDebug(`Received answer from ${data.from}`);
-    const peer = peersRef.current[data.from];
-    if (peer) {
-      peer.signal(data.signal);
+    if (peersRef.current[data.from]) {
+      peerForSignal(data.from, data.session, false)?.signal(data.signal);
     } else {
       logDebug(`No peer for ${data.from}, queuing answer...`);
       if (!pendingCandidates.current[data.from]) {
@@ -426,9 +1122,8 @@ const Video = () => {
 
   const handleIceCandidate = (data) => {
     logDebug(`Received ICE candidate from ${data.from}`);
-    const peer = peersRef.current[data.from];
-    if (peer) {
-      peer.signal({ candidate: data.candidate });
+    if (peersRef.current[data.from]) {
+      peerForSignal(data.from, data.session, false)?.signal({ candidate: data.candidate });
     } else {
       logDebug(`Peer not ready for ICE candidate from ${data.from}, queuing...`);
       if (!pendingCandidates.current[data.from]) {
@@ -440,11 +1135,17 @@ const Video = () => {
 
   const handleUserLeft = (userId) => {
     logDebug(`User left: ${userId}`);
+    clearRecovery(userId, true);
     setConnectionStatus((prev) => {
       const newStatus = { ...prev };
       delete newStatus[userId];
       return newStatus;
     });
+    setParticipants((prev) => {
+      const newParticipants = { ...prev };
+      delete newParticipants[userId];
+      return newParticipants;
+    });
     if (peersRef.current[userId]) {
       peersRef.current[userId].destroy();
       delete peersRef.current[userId];
@@ -458,29 +1159,558 @@ const Video = () => {
         delete peerVideoRefs.current[userId];
       }
     }
+    delete sfuStreamsRef.current[userId];
+    delete remoteScreensRef.current[userId];
+    abandonTransfers(userId);
+  };
+
+  const handleMediaMode = (mode) => {
+    logDebug(`Room media goes ${mode === 'sfu' ? 'through the SFU' : 'peer-to-peer'}`);
+    mediaModeRef.current = mode;
+    setMediaMode(mode);
   };
 
   const handleChatMessage = (data) => {
     logDebug(`Received chat message from ${data.from} (${data.userName}): ${data.message}`);
-    setMessages((prev) => {
-      const exists = prev.some(msg => msg.from === data.from && msg.message === data.message && msg.time === new Date().toLocaleTimeString());
-      if (exists) return prev;
-      return [
-        ...prev,
-        { from: data.from, userName: data.userName || 'Unknown', message: data.message, time: new Date().toLocaleTimeString() },
-      ];
+    setMessages((prev) => addReceivedMessage(prev, data));
+  };
+
+  const handleChatHistory = ({ messages: history, hasMore }) => {
+    logDebug(`Received ${history.length} chat messages from history`);
+    setMessages((prev) => mergeHistory(prev, history));
+    setHasMoreHistory(hasMore);
+  };
+
+  const loadEarlierMessages = async () => {
+    if (loadingHistory || !hasMoreHistory || !messages[0]?.id) return;
+    setLoadingHistory(true);
+    const response = await new Promise((resolve) => {
+      socketRef.current.timeout(10000).emit('load-chat-history', { roomId, before: messages[0].id },
+        (err, res) => resolve(err ? { ok: false, error: { message: 'No response' } } : res));
+    });
+    setLoadingHistory(false);
+    if (!response.ok) {
+      logDebug(`Could not load earlier messages: ${response.error.message}`);
+      return;
+    }
+    setMessages((prev) => [...response.messages.map(toChatEntry), ...prev]);
+    setHasMoreHistory(response.hasMore);
+  };
+
+  const handleChatUpdated = (data) => {
+    logDebug(`Chat message ${data.id} updated`);
+    setMessages((prev) => prev.map((msg) => (
+      msg.id === data.id ? { ...toChatEntry(data), own: msg.own, status: msg.status } : msg
+    )));
+  };
+
+  const handleTyping = ({ from, userName: typingName, isTyping, private: isPrivate }) => {
+    clearTimeout(typingTimers.current[from]);
+    const clear = () => setTypingUsers((prev) => {
+      const next = { ...prev };
+      delete next[from];
+      return next;
+    });
+    if (!isTyping) {
+      clear();
+      return;
+    }
+    setTypingUsers((prev) => ({ ...prev, [from]: { userName: typingName, private: isPrivate } }));
+    // Drop the indicator if the "stopped typing" event never arrives
+    typingTimers.current[from] = setTimeout(clear, TYPING_TIMEOUT);
+  };
+
+  const sendTyping = (isTyping, to) => {
+    socketRef.current.emit('typing', { roomId, isTyping, to: to || undefined });
+  };
+
+  const changeMessage = (event, msg, data = {}) => {
+    socketRef.current.timeout(CHAT_ACK_TIMEOUT).emit(event, { roomId, messageId: msg.id, ...data }, (err, res) => {
+      if (err || !res.ok) {
+        logDebug(`${event} failed for ${msg.id}: ${err ? 'no acknowledgement' : res.error.message}`);
+      }
+    });
+  };
+
+  const reactToMessage = (msg, emoji) => changeMessage('chat-react', msg, { emoji });
+
+  const editMessage = (msg, text) => changeMessage('chat-edit', msg, { message: text });
+
+  const deleteMessage = (msg) => {
+    if (window.confirm('Delete this message for everyone?')) {
+      changeMessage('chat-delete', msg);
+    }
+  };
+
+  const handleSignalingError = (error) => {
+    logDebug(`Server rejected ${error.event}: ${error.code} - ${error.message}`);
+  };
+
+  const handleHostChanged = (newHostId) => {
+    logDebug(`Host is now ${newHostId}`);
+    setHostId(newHostId);
+  };
+
+  const handleRoomLocked = (locked) => {
+    logDebug(`Room ${locked ? 'locked' : 'unlocked'}`);
+    setRoomLocked(locked);
+  };
+
+  const handleForceMute = ({ kind, by }) => {
+    logDebug(`Host ${by} turned off your ${kind}`);
+    if (!localStream) return;
+    const track = kind === 'audio' ? localStream.getAudioTracks()[0] : localStream.getVideoTracks()[0];
+    if (track) {
+      track.enabled = false;
+    }
+    if (kind === 'audio') {
+      setIsAudioOn(false);
+    } else {
+      setIsVideoOn(false);
+    }
+  };
+
+  // Sent on every connect. After a reconnect we take our place in the room
+  // again; if the server kept it, our peer connections carry on as they were.
+  const handleSession = ({ participantId }) => {
+    logDebug(`Connected to signaling server as ${participantId}`);
+    setSelfId(participantId);
+    if (!inRoom && !isWaiting) return;
+    logDebug('Rejoining room after reconnect');
+    socketRef.current.timeout(10000).emit('join-room', roomId, participantId, userName, {
+      media: { audio: isAudioOn, video: isVideoOn },
+      // The host token only matters in a room nobody hosts; having been let
+      // in through the lobby is what counts if we lost our place
+      token: admissionToken || hostToken || inviteToken,
+      password,
+      resume: true,
+    }, (err, response) => {
+      if (err) {
+        logDebug('Signaling server did not answer the rejoin');
+        return;
+      }
+      if (!response.ok) {
+        logDebug(`Rejoin rejected: ${response.error.message}`);
+        teardownRoom();
+        setJoinError(response.error.message);
+        return;
+      }
+      outboxRef.current.forEach(deliverChatMessage);
+      // The server let us go and dropped our SFU transports with us; peers
+      // follow the new sessions the others start
+      if (!response.resumed && mediaModeRef.current === 'sfu') {
+        setSfuEpoch((epoch) => epoch + 1);
+      }
     });
   };
 
-  const sendChatMessage = () => {
-    if (chatInput.trim()) {
-      socketRef.current.emit('chat-message', { roomId, message: chatInput, userName });
-      setMessages((prev) => [
-        ...prev,
-        { from: socketRef.current.id, userName, message: chatInput, time: new Date().toLocaleTimeString() },
-      ]);
-      setChatInput('');
+  const handleSessionReplaced = () => {
+    logDebug('This meeting was opened in another tab');
+    teardownRoom();
+    stopWaiting();
+    setJoinError('This meeting was opened in another tab or window.');
+  };
+
+  const handleRemoved = ({ reason }) => {
+    logDebug(`Removed from room: ${reason}`);
+    teardownRoom();
+    setJoinError(reason);
+  };
+
+  const handleLobbyUpdated = (queue) => {
+    logDebug(`Lobby: ${queue.map((entry) => entry.userName).join(', ') || 'empty'}`);
+    setLobbyQueue(queue);
+  };
+
+  const handleAdmitted = ({ token }) => {
+    logDebug('The host admitted you');
+    setAdmissionToken(token);
+    setIsWaiting(false);
+    setInRoom(true);
+  };
+
+  const handleLobbyDenied = ({ reason }) => {
+    logDebug(`Lobby entry denied: ${reason}`);
+    stopWaiting();
+    setJoinError(reason);
+  };
+
+  const isHost = inRoom && hostId === selfId;
+  const isPresenting = !!presentation && presentation.presenterId === selfId;
+  const remoteTileIds = mediaMode === 'sfu' ? Object.keys(participants) : Object.keys(peers);
+  // In speaker view the pinned participant is shown large, or else whoever
+  // talks; the rest go in a filmstrip
+  const focusedId = speakerView
+    ? [pinnedId, activeSpeaker].find((id) => id && (id === selfId || remoteTileIds.includes(id))) || remoteTileIds[0] || selfId
+    : null;
+  const tileClassName = (id) => ['video-item', id === activeSpeaker && 'speaking', id === focusedId && 'focused']
+    .filter(Boolean)
+    .join(' ');
+
+  const togglePin = (id) => {
+    if (pinnedId === id) {
+      setPinnedId(null);
+      return;
+    }
+    setPinnedId(id);
+    setSpeakerView(true);
+  };
+
+  const pinButton = (id) => (
+    <button className="pin-button" onClick={() => togglePin(id)}>
+      {pinnedId === id ? 'Unpin' : 'Pin'}
+    </button>
+  );
+
+  // Our tile and everyone else's, for the local recording and for finding
+  // who is talking
+  const tileSources = () => [
+    { id: selfId, label: `${userName} (you)`, video: userVideoRef.current, stream: localStreamRef.current },
+    ...Object.entries(peerVideoRefs.current).filter(([userId]) => participants[userId]).map(([userId, el]) => ({
+      id: userId,
+      label: participants[userId]?.userName || shortId(userId),
+      video: el,
+      stream: el.srcObject,
+    })),
+  ];
+
+  const toggleLocalRecording = () => {
+    if (localRecorder) {
+      localRecorder.stop();
+      setLocalRecorder(null);
+      return;
+    }
+    try {
+      setLocalRecorder(startMeetingRecording({
+        name: `livemeet-${roomId}`,
+        getSources: () => mediaHandlersRef.current.tileSources(),
+        log: logDebug,
+      }));
+    } catch (err) {
+      logDebug(`Could not record locally: ${err.message}`);
+      alert('Recording is not supported in this browser.');
+    }
+  };
+
+  // Everything we know about the call, for attaching to bug reports
+  const exportStats = () => {
+    const report = {
+      exportedAt: new Date().toISOString(),
+      roomId,
+      selfId,
+      mediaMode,
+      userAgent: navigator.userAgent,
+      participants: Object.fromEntries(Object.entries(connectionStats).map(([id, summary]) => [id, {
+        userName: participants[id]?.userName,
+        connectionState: connectionStatus[id],
+        ...summary,
+      }])),
+      debugLog,
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `livemeet-stats-${report.exportedAt.slice(0, 19).replace(/[:T]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+  };
+
+  const signalIndicator = (userId) => {
+    const level = qualityLevel(connectionStats[userId]);
+    return (
+      <button className={`signal signal-${level}`} title={SIGNAL_LABELS[level]} onClick={() => setShowStats(true)}>
+        {[1, 2, 3, 4].map((bar) => <span key={bar} className={bar <= level ? 'on' : ''} />)}
+      </button>
+    );
+  };
+
+  const handleRecording = (next) => {
+    logDebug(next ? `Recording ${next.id} is running` : 'Recording stopped');
+    setRecording(next);
+  };
+
+  // Hosts who did not create the room have no host token; the server takes
+  // their session token while they host
+  const recordingsToken = () => hostToken || signalingRef.current.sessionToken;
+  const recordingsUrl = (path = '') => `${SIGNALING_SERVER_URL}/api/rooms/${encodeURIComponent(roomId)}/recordings${path}`;
+
+  const loadRecordings = async () => {
+    try {
+      const res = await fetch(recordingsUrl(), { headers: { Authorization: `Bearer ${recordingsToken()}` } });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error);
+      setRecordingsList(body.recordings);
+    } catch (err) {
+      logDebug(`Could not load recordings: ${err.message}`);
+      alert('Could not load the recordings. Please try again.');
+    }
+  };
+
+  const moderate = (event, data = {}) => {
+    socketRef.current.emit(event, { roomId, ...data });
+    setModerationMenu(null);
+  };
+
+  const updateOwnMessage = (clientId, changes) => {
+    setMessages((prev) => prev.map((msg) => (msg.own && msg.clientId === clientId ? { ...msg, ...changes } : msg)));
+  };
+
+  const deliverChatMessage = (entry) => {
+    const socket = socketRef.current;
+    if (!socket?.connected) {
+      logDebug(`Offline, chat message ${entry.clientId} queued`);
+      return;
+    }
+    const payload = { roomId, message: entry.message, clientId: entry.clientId, to: entry.to };
+    socket.timeout(CHAT_ACK_TIMEOUT).emit('chat-message', payload, (err, res) => {
+      if (err && !socketRef.current?.connected) {
+        // Stays in the outbox and is resent once the socket reconnects
+        return;
+      }
+      outboxRef.current = outboxRef.current.filter((item) => item.clientId !== entry.clientId);
+      if (err || !res.ok) {
+        logDebug(`Chat message ${entry.clientId} failed: ${err ? 'no acknowledgement' : res.error.message}`);
+        updateOwnMessage(entry.clientId, { status: 'failed' });
+        return;
+      }
+      updateOwnMessage(entry.clientId, { ...toChatEntry(res.message), own: true, status: 'sent' });
+    });
+  };
+
+  const queueChatMessage = (entry) => {
+    outboxRef.current = [...outboxRef.current.filter((item) => item.clientId !== entry.clientId), entry];
+    deliverChatMessage(entry);
+  };
+
+  const sendChatMessage = (text, to) => {
+    const entry = { clientId: createClientId(), message: text, to };
+    setMessages((prev) => [
+      ...prev,
+      {
+        ...entry,
+        from: selfId,
+        userName,
+        toUserName: participants[to]?.userName,
+        own: true,
+        status: 'pending',
+        time: new Date().toLocaleTimeString(),
+      },
+    ]);
+    queueChatMessage(entry);
+  };
+
+  const retryChatMessage = (msg) => {
+    updateOwnMessage(msg.clientId, { status: 'pending' });
+    queueChatMessage({ clientId: msg.clientId, message: msg.message, to: msg.to });
+  };
+
+  const updateFileEntry = (fileId, update) => {
+    setMessages((prev) => prev.map((msg) => (msg.file && msg.clientId === fileId ? { ...msg, ...update(msg) } : msg)));
+  };
+
+  const setRecipientProgress = (fileId, userId, changes) => {
+    updateFileEntry(fileId, (msg) => ({
+      recipients: { ...msg.recipients, [userId]: { ...msg.recipients[userId], ...changes } },
+    }));
+  };
+
+  // File frames take the data channel when the peer connection is up and
+  // the server relay otherwise
+  const sendFileFrame = async (userId, frame, overPeer) => {
+    if (overPeer) {
+      await writeToPeer(peersRef.current[userId], frame);
+      return;
+    }
+    const response = await new Promise((resolve) => {
+      socketRef.current.timeout(FILE_RELAY_TIMEOUT).emit('file-relay', { roomId, to: userId, frame },
+        (err, res) => resolve(err ? { ok: false, error: { message: 'Server did not acknowledge' } } : res));
+    });
+    if (!response.ok) {
+      throw new Error(response.error.message);
+    }
+  };
+
+  const sendFileTo = async (userId, file, offer) => {
+    const overPeer = !!peersRef.current[userId]?.connected;
+    const relayLimit = fileLimitsRef.current?.relayMaxBytes;
+    if (!overPeer && relayLimit && file.size > relayLimit) {
+      setRecipientProgress(offer.fileId, userId, {
+        status: 'failed',
+        error: `not connected directly, and only files up to ${formatBytes(relayLimit)} can be relayed`,
+      });
+      return;
+    }
+    logDebug(`Sending ${offer.name} to ${userId} ${overPeer ? 'over the data channel' : 'through the server'}`);
+    const chunkSize = overPeer ? PEER_CHUNK_SIZE : RELAY_CHUNK_SIZE;
+    let progress = 0;
+    try {
+      await sendFileFrame(userId, encodeControl(offer), overPeer);
+      for (let offset = 0; offset < file.size; offset += chunkSize) {
+        const bytes = await file.slice(offset, offset + chunkSize).arrayBuffer();
+        await sendFileFrame(userId, encodeChunk(offer.fileId, bytes), overPeer);
+        const sent = Math.floor(((offset + bytes.byteLength) / file.size) * 100);
+        if (sent !== progress) {
+          progress = sent;
+          setRecipientProgress(offer.fileId, userId, { progress });
+        }
+      }
+      await sendFileFrame(userId, encodeControl({ type: 'file-end', fileId: offer.fileId }), overPeer);
+      setRecipientProgress(offer.fileId, userId, { progress: 100, status: 'verifying' });
+    } catch (err) {
+      logDebug(`Sending ${offer.name} to ${userId} failed: ${err.message}`);
+      setRecipientProgress(offer.fileId, userId, { status: 'failed', error: err.message });
+      // Lets the receiver drop what it has so far, if the route still works
+      sendFileFrame(userId, encodeControl({ type: 'file-cancel', fileId: offer.fileId }), overPeer).catch(() => {});
+    }
+  };
+
+  // Everyone in the room gets their own copy, unless the file is private
+  const shareFile = async (file, to) => {
+    const limits = fileLimitsRef.current;
+    if (limits && file.size > limits.maxBytes) {
+      alert(`Files can be at most ${formatBytes(limits.maxBytes)}.`);
+      return;
+    }
+    const recipients = to ? [to] : Object.keys(participants).filter((id) => id !== selfId);
+    if (!recipients.length) {
+      alert('There is no one in the room to share with yet.');
+      return;
     }
+    const fileId = createFileId();
+    const url = URL.createObjectURL(file);
+    fileUrlsRef.current.push(url);
+    setMessages((prev) => [
+      ...prev,
+      {
+        clientId: fileId,
+        from: selfId,
+        userName,
+        to,
+        toUserName: participants[to]?.userName,
+        own: true,
+        file: { name: file.name, size: file.size, mime: file.type, url },
+        recipients: Object.fromEntries(recipients.map((id) => [
+          id,
+          { userName: participants[id]?.userName, progress: 0, status: 'sending' },
+        ])),
+        time: new Date().toLocaleTimeString(),
+      },
+    ]);
+    const offer = {
+      type: 'file-offer',
+      fileId,
+      name: file.name.slice(0, 255),
+      size: file.size,
+      mime: file.type,
+      hash: await sha256(file),
+      userName,
+      private: !!to,
+    };
+    recipients.forEach((userId) => sendFileTo(userId, file, offer));
+  };
+
+  const completeIncomingFile = async (fileId, incoming, reply) => {
+    const { offer } = incoming;
+    const blob = new Blob(incoming.chunks, { type: offer.mime || 'application/octet-stream' });
+    const ok = blob.size === offer.size && (await sha256(blob)) === offer.hash;
+    let url;
+    if (ok) {
+      url = URL.createObjectURL(blob);
+      fileUrlsRef.current.push(url);
+    } else {
+      logDebug(`${offer.name} from ${incoming.from} failed its integrity check`);
+    }
+    updateFileEntry(fileId, (msg) => ({
+      file: { ...msg.file, url },
+      transfer: { progress: 100, status: ok ? 'done' : 'failed', error: ok ? undefined : 'file was corrupted' },
+    }));
+    reply({ type: 'file-ack', fileId, ok, reason: ok ? undefined : 'file was corrupted' });
+  };
+
+  const handleFileFrame = (from, frame, overPeer) => {
+    if (!frame?.fileId) return;
+    const { fileId } = frame;
+    const reply = (message) => sendFileFrame(from, encodeControl(message), overPeer)
+      .catch((err) => logDebug(`Could not answer ${from} about ${fileId}: ${err.message}`));
+    const incoming = incomingFilesRef.current[fileId];
+    if (frame.type !== 'file-offer' && frame.type !== 'file-ack' && incoming?.from !== from) return;
+
+    switch (frame.type) {
+      case 'file-offer': {
+        const limits = fileLimitsRef.current;
+        if (limits && frame.size > limits.maxBytes) {
+          reply({ type: 'file-ack', fileId, ok: false, reason: 'file is too large' });
+          return;
+        }
+        logDebug(`Receiving ${frame.name} (${frame.size} bytes) from ${from}`);
+        incomingFilesRef.current[fileId] = { from, offer: frame, chunks: [], received: 0, progress: 0 };
+        setMessages((prev) => [
+          ...prev,
+          {
+            clientId: fileId,
+            from,
+            userName: frame.userName || 'Unknown',
+            to: frame.private ? selfId : undefined,
+            file: { name: frame.name, size: frame.size, mime: frame.mime },
+            transfer: { progress: 0, status: 'receiving' },
+            time: new Date().toLocaleTimeString(),
+          },
+        ]);
+        return;
+      }
+      case 'file-chunk': {
+        incoming.chunks.push(frame.data);
+        incoming.received += frame.data.byteLength;
+        if (incoming.received > incoming.offer.size) {
+          delete incomingFilesRef.current[fileId];
+          updateFileEntry(fileId, () => ({ transfer: { status: 'failed', error: 'more data than announced' } }));
+          reply({ type: 'file-ack', fileId, ok: false, reason: 'file was larger than announced' });
+          return;
+        }
+        const progress = Math.floor((incoming.received / incoming.offer.size) * 100);
+        if (progress !== incoming.progress) {
+          incoming.progress = progress;
+          updateFileEntry(fileId, () => ({ transfer: { progress, status: 'receiving' } }));
+        }
+        return;
+      }
+      case 'file-end':
+        delete incomingFilesRef.current[fileId];
+        updateFileEntry(fileId, () => ({ transfer: { progress: 100, status: 'verifying' } }));
+        completeIncomingFile(fileId, incoming, reply);
+        return;
+      case 'file-cancel':
+        delete incomingFilesRef.current[fileId];
+        updateFileEntry(fileId, () => ({ transfer: { status: 'failed', error: 'cancelled by the sender' } }));
+        return;
+      case 'file-ack':
+        logDebug(`${from} ${frame.ok ? 'received' : 'rejected'} file ${fileId}`);
+        setRecipientProgress(fileId, from, frame.ok ? { status: 'done' } : { status: 'failed', error: frame.reason });
+        return;
+      default:
+        logDebug(`Ignoring unknown file frame ${frame.type} from ${from}`);
+    }
+  };
+
+  // A participant who leaves takes their unfinished transfers with them
+  const abandonTransfers = (userId) => {
+    Object.keys(incomingFilesRef.current)
+      .filter((fileId) => incomingFilesRef.current[fileId].from === userId)
+      .forEach((fileId) => delete incomingFilesRef.current[fileId]);
+    const unfinished = (transfer) => transfer && transfer.status !== 'done' && transfer.status !== 'failed';
+    setMessages((prev) => prev.map((msg) => {
+      if (!msg.file) return msg;
+      if (msg.from === userId && unfinished(msg.transfer)) {
+        return { ...msg, transfer: { ...msg.transfer, status: 'failed', error: 'sender left' } };
+      }
+      if (unfinished(msg.recipients?.[userId])) {
+        return {
+          ...msg,
+          recipients: { ...msg.recipients, [userId]: { ...msg.recipients[userId], status: 'failed', error: 'left the meeting' } },
+        };
+      }
+      return msg;
+    }));
   };
 
   const shortId = (id) => id.slice(0, 8);
@@ -488,8 +1718,23 @@ const Video = () => {
   return (
     <ErrorBoundary>
       <div className="app-container">
-        {!inRoom ? (
+        {isWaiting ? (
+          <div className="lobby-wait">
+            <h2>Waiting for the host to let you in…</h2>
+            <p>Room: {roomId}</p>
+            <button onClick={cancelWaiting}>Cancel</button>
+          </div>
+        ) : !inRoom ? (
           <div className="join-room">
+            <PreJoin
+              stream={localStream}
+              errors={mediaErrors}
+              isVideoOn={isVideoOn}
+              isAudioOn={isAudioOn}
+              onToggleVideo={toggleVideo}
+              onToggleAudio={toggleAudio}
+              onOpenSettings={() => setShowDeviceSettings(true)}
+            />
             <input
               type="text"
               value={userName}
@@ -502,12 +1747,41 @@ const Video = () => {
               onChange={(e) => setRoomId(e.target.value)}
               placeholder="Enter Room ID"
             />
-            <button onClick={joinRoom}>Join Room</button>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Room password (optional)"
+            />
+            <button onClick={() => joinRoom()}>Join Room</button>
+            <button onClick={createRoom}>Create Room</button>
+            <label className="join-option">
+              <input type="checkbox" checked={inviteOnly} onChange={(e) => setInviteOnly(e.target.checked)} />
+              Invite only
+            </label>
+            <label className="join-option">
+              <input type="checkbox" checked={useLobby} onChange={(e) => setUseLobby(e.target.checked)} />
+              Waiting room
+            </label>
+            <label className="join-option">
+              Media
+              <select value={mediaPreference} onChange={(e) => setMediaPreference(e.target.value)}>
+                <option value="auto">Automatic</option>
+                <option value="mesh">Peer-to-peer</option>
+                <option value="sfu">Through the server</option>
+              </select>
+            </label>
+            {inviteToken && <div className="join-note">Joining with an invite link</div>}
+            {joinError && <div className="join-error">{joinError}</div>}
           </div>
         ) : (
           <div className="conference-room">
             <header>
-              <h2>Room: {roomId}</h2>
+              <h2>Room: {roomId}{roomLocked && ' (locked)'}</h2>
+              {mediaMode === 'sfu' && <span className="media-mode">Media via server</span>}
+              {recording && <span className="recording-indicator">● Recording</span>}
+              {localRecorder && <span className="recording-indicator">● Recording locally</span>}
+              <button className="invite-button" onClick={copyInviteLink}>Copy invite link</button>
             </header>
             <div className="controls">
               <button onClick={toggleVideo}>
@@ -516,34 +1790,153 @@ const Video = () => {
               <button onClick={toggleAudio}>
                 {isAudioOn ? 'Mute Audio' : 'Unmute Audio'}
               </button>
-              <button onClick={toggleScreenShare}>
-                {isScreenSharing ? 'Stop Screen Share' : 'Share Screen'}
+              <button onClick={screenStream ? () => stopScreenShare() : startScreenShare}>
+                {screenStream ? 'Stop Screen Share' : 'Share Screen'}
+              </button>
+              <button onClick={() => setShowDeviceSettings(true)}>Devices</button>
+              <button onClick={() => setSpeakerView(!speakerView)}>
+                {speakerView ? 'Grid View' : 'Speaker View'}
               </button>
+              <button onClick={() => setLowBandwidth(!lowBandwidth)}>
+                {lowBandwidth ? 'Show Video' : 'Audio-Only Mode'}
+              </button>
+              <button onClick={() => setShowStats(true)}>Stats</button>
               <button onClick={() => setShowDebug(!showDebug)}>
                 {showDebug ? 'Hide Debug' : 'Show Debug'}
               </button>
+              <button onClick={toggleLocalRecording}>
+                {localRecorder ? 'Stop Local Recording' : 'Record Locally'}
+              </button>
+              {isHost && (
+                <button onClick={() => moderate(recording ? 'stop-recording' : 'start-recording')}>
+                  {recording ? 'Stop Recording' : 'Start Recording'}
+                </button>
+              )}
+              {isHost && <button onClick={loadRecordings}>Recordings</button>}
+              {isHost && (
+                <button onClick={() => moderate('lock-room', { locked: !roomLocked })}>
+                  {roomLocked ? 'Unlock Room' : 'Lock Room'}
+                </button>
+              )}
+              {isHost && (
+                <button onClick={() => moderate('set-lobby', { enabled: !lobbyEnabled })}>
+                  {lobbyEnabled ? 'Disable Waiting Room' : 'Enable Waiting Room'}
+                </button>
+              )}
+              <button className="leave-button" onClick={leaveRoom}>
+                Leave
+              </button>
             </div>
+            {recording && recording.id !== acknowledgedRecording && (
+              <div className="recording-notice">
+                <span>
+                  This meeting is being recorded. Your camera and microphone are recorded and kept on the
+                  server for the host. If you do not agree, please leave the meeting.
+                </span>
+                <button onClick={() => setAcknowledgedRecording(recording.id)}>OK</button>
+                <button className="leave-button" onClick={leaveRoom}>Leave</button>
+              </div>
+            )}
+            {recordingsList && (
+              <div className="recordings-panel">
+                <h3>Recordings</h3>
+                {!recordingsList.length && <p>Nothing has been recorded in this room yet.</p>}
+                <ul>
+                  {recordingsList.map((entry) => (
+                    <li key={entry.id}>
+                      <span>
+                        {new Date(entry.startedAt).toLocaleString()}
+                        {!entry.stoppedAt && ' (in progress)'}
+                      </span>
+                      {entry.tracks.map((track) => (
+                        <a
+                          key={track.id}
+                          href={`${recordingsUrl(`/${entry.id}/tracks/${track.id}`)}?token=${track.downloadToken}`}
+                          download
+                        >
+                          {track.userName || shortId(track.participantId)} ({(track.bytes / (1024 * 1024)).toFixed(1)} MB)
+                        </a>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+                <button onClick={() => setRecordingsList(null)}>Close</button>
+              </div>
+            )}
+            {isHost && lobbyQueue.length > 0 && (
+              <div className="lobby-panel">
+                <h3>Waiting room ({lobbyQueue.length})</h3>
+                <ul>
+                  {lobbyQueue.map((entry) => (
+                    <li key={entry.id}>
+                      <span>{entry.userName}</span>
+                      <button onClick={() => moderate('admit-participant', { to: entry.id })}>Admit</button>
+                      <button onClick={() => moderate('deny-participant', { to: entry.id })}>Deny</button>
+                    </li>
+                  ))}
+                </ul>
+                <div className="lobby-actions">
+                  <button onClick={() => moderate('admit-all')}>Admit all</button>
+                  <button onClick={() => moderate('deny-all')}>Deny all</button>
+                </div>
+              </div>
+            )}
             <div className="main-content">
-              <div className="video-container">
-                <div className="video-item">
+              <div className={speakerView ? 'video-container speaker-view' : 'video-container'}>
+                {presentation && (
+                  <div className="presentation">
+                    <video
+                      ref={(el) => {
+                      if (el && devicePreferences.audioOutput && el.sinkId !== devicePreferences.audioOutput) {
+                        applyAudioOutput(el, devicePreferences.audioOutput);
+                      }
+                      presentationVideoRef.current = el;
+                    }}
+                      autoPlay
+                      playsInline
+                      muted={isPresenting}
+                      className="presentation-video"
+                    />
+                    {!isPresenting && lowBandwidth && <div className="peer-overlay">Video is paused in audio-only mode</div>}
+                    {!isPresenting && !lowBandwidth && !presentationStream && (
+                      <div className="peer-overlay">Waiting for the presentation…</div>
+                    )}
+                    <div className="video-label">
+                      {isPresenting
+                        ? 'You are presenting'
+                        : `${participants[presentation.presenterId]?.userName || shortId(presentation.presenterId)} is presenting`}
+                    </div>
+                    {isPresenting && (
+                      <button className="presentation-stop" onClick={() => stopScreenShare()}>Stop presenting</button>
+                    )}
+                  </div>
+                )}
+                <div className={tileClassName(selfId)}>
                   <video
                     ref={userVideoRef}
                     autoPlay
                     muted
                     playsInline
-                    className="video-element"
+                    className={isVideoOn ? 'video-element' : 'video-element hidden'}
                   />
-                  <div className="video-label">You ({userName})</div>
+                  {!isVideoOn && <div className="avatar"><span>{initials(userName)}</span></div>}
+                  <div className="video-label">
+                    {!isAudioOn && <span className="muted-badge" title="Microphone is off">🔇</span>}
+                    You ({userName}){isHost && ' · Host'}
+                  </div>
+                  {pinButton(selfId)}
                 </div>
-                {Object.keys(peers).map((userId) => (
-                  <div className="video-item" key={userId}>
+                {remoteTileIds.map((userId) => (
+                  <div className={tileClassName(userId)} key={userId}>
                     <video
                       ref={(el) => {
                         if (el && !peerVideoRefs.current[userId]) {
                           peerVideoRefs.current[userId] = el;
+                          if (devicePreferences.audioOutput) applyAudioOutput(el, devicePreferences.audioOutput);
                           logDebug(`Peer video ref assigned for ${userId}: ${!!el}`);
-                          if (peersRef.current[userId]?.remoteStream) {
-                            el.srcObject = peersRef.current[userId].remoteStream;
+                          const remoteStream = peersRef.current[userId]?.remoteStream || sfuStreamsRef.current[userId];
+                          if (remoteStream) {
+                            el.srcObject = remoteStream;
                             el.play().catch((err) => {
                               logDebug(`Error playing video for ${userId}: ${err.message}`);
                             });
@@ -552,37 +1945,66 @@ const Video = () => {
                       }}
                       autoPlay
                       playsInline
-                      className="video-element"
+                      className={lowBandwidth || participants[userId]?.media?.video === false ? 'video-element hidden' : 'video-element'}
                     />
+                    {(lowBandwidth || participants[userId]?.media?.video === false) && (
+                      <div className="avatar"><span>{initials(participants[userId]?.userName)}</span></div>
+                    )}
                     <div className="video-label">
-                      {connectionStatus[userId]?.userName || `Peer: ${shortId(userId)}`} ({connectionStatus[userId]?.status || 'connecting'})
+                      {signalIndicator(userId)}
+                      {participants[userId]?.media?.audio === false && (
+                        <span className="muted-badge" title="Microphone is off">🔇</span>
+                      )}
+                      {participants[userId]?.userName || `Peer: ${shortId(userId)}`} ({connectionStatus[userId] || 'connecting'})
+                      {hostId === userId && ' · Host'}
                     </div>
+                    {connectionStatus[userId] === 'reconnecting' && (
+                      <div className="peer-overlay">Reconnecting…</div>
+                    )}
+                    {connectionStatus[userId] === 'failed' && mediaMode !== 'sfu' && (
+                      <div className="peer-overlay">
+                        Connection lost
+                        <button onClick={() => retryPeer(userId)}>Retry</button>
+                      </div>
+                    )}
+                    {pinButton(userId)}
+                    {isHost && (
+                      <div className="moderation">
+                        <button
+                          className="moderation-toggle"
+                          onClick={() => setModerationMenu(moderationMenu === userId ? null : userId)}
+                        >
+                          ⋮
+                        </button>
+                        {moderationMenu === userId && (
+                          <div className="moderation-menu">
+                            <button onClick={() => moderate('mute-participant', { to: userId, kind: 'audio' })}>Mute mic</button>
+                            <button onClick={() => moderate('mute-participant', { to: userId, kind: 'video' })}>Turn off camera</button>
+                            <button onClick={() => moderate('transfer-host', { to: userId })}>Make host</button>
+                            <button onClick={() => moderate('remove-participant', { to: userId })}>Remove</button>
+                          </div>
+                        )}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
-              <div className="chat-container">
-                <h3>Live Chat</h3>
-                <div className="chat-messages" ref={chatRef}>
-                  {messages.map((msg, index) => (
-                    <div key={index} className={`chat-message ${msg.from === socketRef.current.id ? 'own-message' : ''}`}>
-                      <span className="chat-sender">
-                        {msg.from === socketRef.current.id ? 'You' : msg.userName}
-                      </span>
-                      <span className="chat-time">[{msg.time}]</span>: {msg.message}
-                    </div>
-                  ))}
-                </div>
-                <div className="chat-input">
-                  <input
-                    type="text"
-                    value={chatInput}
-                    onChange={(e) => setChatInput(e.target.value)}
-                    placeholder="Type a message..."
-                    onKeyPress={(e) => e.key === 'Enter' && sendChatMessage()}
-                  />
-                  <button onClick={sendChatMessage}>Send</button>
-                </div>
-              </div>
+              <ChatPanel
+                messages={messages}
+                selfId={selfId}
+                participants={participants}
+                typingUsers={Object.values(typingUsers)}
+                hasMoreHistory={hasMoreHistory}
+                loadingHistory={loadingHistory}
+                onLoadEarlier={loadEarlierMessages}
+                onSend={sendChatMessage}
+                onRetry={retryChatMessage}
+                onReact={reactToMessage}
+                onEdit={editMessage}
+                onDelete={deleteMessage}
+                onTyping={sendTyping}
+                onShareFile={shareFile}
+              />
             </div>
             {showDebug && (
               <div className="debug">
@@ -596,6 +2018,22 @@ const Video = () => {
             )}
           </div>
         )}
+        {showDeviceSettings && (
+          <DeviceSettings
+            stream={localStream}
+            preferences={devicePreferences}
+            onSelect={selectDevice}
+            onClose={() => setShowDeviceSettings(false)}
+          />
+        )}
+        {showStats && (
+          <StatsPanel
+            stats={connectionStats}
+            participants={participants}
+            onExport={exportStats}
+            onClose={() => setShowStats(false)}
+          />
+        )}
         <style>
           {`
             .app-container {
@@ -617,6 +2055,298 @@ const Video = () => {
               margin-bottom: 20px;
               flex-wrap: wrap;
             }
+            .join-room .join-option {
+              display: flex;
+              align-items: center;
+              gap: 6px;
+              color: #333;
+            }
+            .join-room .join-option input {
+              min-width: 0;
+              flex: none;
+            }
+            .join-note, .join-error {
+              flex-basis: 100%;
+              text-align: center;
+            }
+            .join-error {
+              color: #dc3545;
+              font-weight: 600;
+            }
+            .prejoin {
+              flex-basis: 100%;
+              display: flex;
+              flex-direction: column;
+              gap: 8px;
+              max-width: 480px;
+              margin: 0 auto;
+            }
+            .prejoin-preview {
+              position: relative;
+              aspect-ratio: 4 / 3;
+              background: #000;
+              border-radius: 8px;
+              overflow: hidden;
+            }
+            .prejoin-preview video {
+              width: 100%;
+              height: 100%;
+              object-fit: cover;
+              transform: scaleX(-1);
+            }
+            .prejoin-preview video.hidden {
+              display: none;
+            }
+            .prejoin-camera-off {
+              position: absolute;
+              inset: 0;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              color: white;
+            }
+            .prejoin-error {
+              color: #dc3545;
+            }
+            .prejoin-toggles {
+              display: flex;
+              justify-content: center;
+              gap: 10px;
+            }
+            .prejoin-toggles button.off {
+              background: #dc3545;
+            }
+            .device-settings-backdrop {
+              position: fixed;
+              inset: 0;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              background: rgba(0,0,0,0.5);
+              z-index: 20;
+            }
+            .device-settings {
+              display: flex;
+              flex-direction: column;
+              gap: 12px;
+              width: 360px;
+              max-width: 90vw;
+              padding: 20px;
+              background: #fff;
+              border-radius: 8px;
+              box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+            }
+            .stats-panel {
+              width: 420px;
+              max-width: 90vw;
+              max-height: 80vh;
+              overflow-y: auto;
+              padding: 20px;
+              background: #fff;
+              border-radius: 8px;
+              box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+            }
+            .stats-panel h3 {
+              margin-top: 0;
+            }
+            .stats-panel table {
+              width: 100%;
+              margin-bottom: 16px;
+              border-collapse: collapse;
+              font-size: 14px;
+            }
+            .stats-panel caption {
+              text-align: left;
+              font-weight: 600;
+              padding-bottom: 4px;
+            }
+            .stats-panel th {
+              text-align: left;
+              font-weight: normal;
+              color: #666;
+            }
+            .stats-actions {
+              display: flex;
+              gap: 8px;
+            }
+            .signal {
+              display: inline-flex;
+              align-items: flex-end;
+              gap: 2px;
+              height: 14px;
+              margin-right: 6px;
+              padding: 0;
+              background: none;
+              border: none;
+              cursor: pointer;
+              vertical-align: middle;
+            }
+            .signal span {
+              width: 3px;
+              background: #ccc;
+              border-radius: 1px;
+            }
+            .signal span:nth-child(1) {
+              height: 4px;
+            }
+            .signal span:nth-child(2) {
+              height: 7px;
+            }
+            .signal span:nth-child(3) {
+              height: 10px;
+            }
+            .signal span:nth-child(4) {
+              height: 14px;
+            }
+            .signal-4 span.on, .signal-3 span.on {
+              background: #28a745;
+            }
+            .signal-2 span.on {
+              background: #ffc107;
+            }
+            .signal-1 span.on {
+              background: #dc3545;
+            }
+            .device-settings h3 {
+              margin: 0;
+            }
+            .device-preview {
+              width: 100%;
+              background: #000;
+              border-radius: 8px;
+              transform: scaleX(-1);
+            }
+            .device-option {
+              display: flex;
+              flex-direction: column;
+              gap: 4px;
+              font-weight: 600;
+            }
+            .device-option select {
+              padding: 6px;
+              font-weight: normal;
+            }
+            .device-error {
+              margin: 0;
+              color: #dc3545;
+            }
+            .mic-meter {
+              height: 8px;
+              background: #e9ecef;
+              border-radius: 4px;
+              overflow: hidden;
+            }
+            .mic-meter-level {
+              height: 100%;
+              background: #28a745;
+              transition: width 0.1s;
+            }
+            .lobby-wait {
+              text-align: center;
+              color: #333;
+            }
+            .lobby-wait button, .lobby-panel button {
+              padding: 8px 16px;
+              background-color: #007bff;
+              color: white;
+              border: none;
+              border-radius: 6px;
+              cursor: pointer;
+            }
+            .lobby-panel {
+              margin-bottom: 20px;
+              padding: 15px;
+              border: 1px solid #ffc107;
+              border-radius: 8px;
+              background: #fff8e1;
+            }
+            .lobby-panel h3 {
+              margin-top: 0;
+            }
+            .lobby-panel ul {
+              list-style: none;
+              padding: 0;
+            }
+            .lobby-panel li, .lobby-actions {
+              display: flex;
+              align-items: center;
+              gap: 8px;
+              margin-bottom: 8px;
+            }
+            .lobby-panel li span {
+              flex: 1;
+              font-weight: 600;
+            }
+            .recording-indicator {
+              padding: 4px 10px;
+              border-radius: 12px;
+              background: #fdecea;
+              color: #dc3545;
+              font-size: 14px;
+              font-weight: 600;
+            }
+            .recording-notice {
+              display: flex;
+              align-items: center;
+              gap: 8px;
+              margin-bottom: 20px;
+              padding: 15px;
+              border: 1px solid #dc3545;
+              border-radius: 8px;
+              background: #fdecea;
+            }
+            .recording-notice span {
+              flex: 1;
+            }
+            .recording-notice button, .recordings-panel button {
+              padding: 8px 16px;
+              background-color: #007bff;
+              color: white;
+              border: none;
+              border-radius: 6px;
+              cursor: pointer;
+            }
+            .recording-notice .leave-button {
+              background-color: #dc3545;
+            }
+            .recordings-panel {
+              margin-bottom: 20px;
+              padding: 15px;
+              border: 1px solid #ccc;
+              border-radius: 8px;
+              background: #fff;
+            }
+            .recordings-panel h3 {
+              margin-top: 0;
+            }
+            .recordings-panel ul {
+              list-style: none;
+              padding: 0;
+            }
+            .recordings-panel li {
+              display: flex;
+              flex-wrap: wrap;
+              gap: 12px;
+              margin-bottom: 8px;
+            }
+            .recordings-panel li span {
+              font-weight: 600;
+            }
+            .media-mode {
+              padding: 4px 10px;
+              border-radius: 12px;
+              background: #e7f1ff;
+              color: #0056b3;
+              font-size: 14px;
+            }
+            .invite-button {
+              padding: 6px 12px;
+              border: 1px solid #007bff;
+              border-radius: 6px;
+              background: #fff;
+              color: #007bff;
+              cursor: pointer;
+            }
             .join-room input, .chat-input input {
               padding: 12px;
               border: 1px solid #ccc;
@@ -646,6 +2376,12 @@ const Video = () => {
               background-color: #0056b3;
               transform: translateY(-2px);
             }
+            .controls .leave-button {
+              background-color: #dc3545;
+            }
+            .controls .leave-button:hover {
+              background-color: #a71d2a;
+            }
             .main-content {
               display: flex;
               gap: 20px;
@@ -658,6 +2394,7 @@ const Video = () => {
               gap: 20px;
             }
             .video-item {
+              position: relative;
               display: flex;
               flex-direction: column;
               align-items: center;
@@ -670,6 +2407,124 @@ const Video = () => {
             .video-item:hover {
               transform: translateY(-4px);
             }
+            .video-item .video-element.hidden {
+              display: none;
+            }
+            .avatar {
+              width: 100%;
+              height: 180px;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              background: #333;
+              border-radius: 8px;
+            }
+            .avatar span {
+              width: 80px;
+              height: 80px;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              border-radius: 50%;
+              background: #007bff;
+              color: white;
+              font-size: 32px;
+              font-weight: 600;
+            }
+            .muted-badge {
+              margin-right: 6px;
+            }
+            .video-item.speaking {
+              box-shadow: 0 0 0 3px #28a745, 0 4px 8px rgba(0,0,0,0.1);
+            }
+            .pin-button {
+              position: absolute;
+              top: 16px;
+              left: 16px;
+              padding: 4px 10px;
+              background: rgba(0,0,0,0.6);
+              color: white;
+              border: none;
+              border-radius: 12px;
+              cursor: pointer;
+            }
+            .speaker-view {
+              display: flex;
+              flex-wrap: wrap;
+              align-content: flex-start;
+            }
+            .speaker-view .presentation {
+              order: -2;
+              flex-basis: 100%;
+            }
+            .speaker-view .video-item {
+              width: 180px;
+              padding: 6px;
+            }
+            .speaker-view .video-item .video-element {
+              max-height: 110px;
+            }
+            .speaker-view .avatar {
+              height: 110px;
+            }
+            .speaker-view .avatar span {
+              width: 48px;
+              height: 48px;
+              font-size: 20px;
+            }
+            .speaker-view .video-item.focused .avatar {
+              height: 50vh;
+            }
+            .speaker-view .peer-overlay {
+              height: auto;
+              bottom: 40px;
+            }
+            .speaker-view .video-item.focused {
+              order: -1;
+              flex-basis: 100%;
+              box-sizing: border-box;
+            }
+            .speaker-view .video-item.focused .video-element {
+              max-height: 60vh;
+              object-fit: contain;
+            }
+            .moderation {
+              position: absolute;
+              top: 16px;
+              right: 16px;
+            }
+            .moderation-toggle {
+              background: rgba(0,0,0,0.6);
+              color: white;
+              border: none;
+              border-radius: 50%;
+              width: 32px;
+              height: 32px;
+              cursor: pointer;
+            }
+            .moderation-menu {
+              position: absolute;
+              right: 0;
+              margin-top: 4px;
+              display: flex;
+              flex-direction: column;
+              background: #fff;
+              border-radius: 6px;
+              box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+              overflow: hidden;
+              z-index: 10;
+            }
+            .moderation-menu button {
+              padding: 8px 16px;
+              background: none;
+              border: none;
+              text-align: left;
+              white-space: nowrap;
+              cursor: pointer;
+            }
+            .moderation-menu button:hover {
+              background: #e9ecef;
+            }
             .video-element {
               width: 100%;
               height: auto;
@@ -679,6 +2534,56 @@ const Video = () => {
               max-height: 240px;
               object-fit: cover;
             }
+            .presentation {
+              grid-column: 1 / -1;
+              position: relative;
+              display: flex;
+              flex-direction: column;
+              align-items: center;
+              background: #fff;
+              border-radius: 12px;
+              padding: 12px;
+              box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+            }
+            .presentation-video {
+              width: 100%;
+              max-height: 70vh;
+              background: #000;
+              border-radius: 8px;
+              object-fit: contain;
+            }
+            .presentation .peer-overlay {
+              height: auto;
+              bottom: 48px;
+            }
+            .presentation-stop {
+              margin-top: 8px;
+              background: #dc3545;
+            }
+            .peer-overlay {
+              position: absolute;
+              top: 12px;
+              left: 12px;
+              right: 12px;
+              height: 240px;
+              display: flex;
+              flex-direction: column;
+              align-items: center;
+              justify-content: center;
+              gap: 8px;
+              background: rgba(0,0,0,0.6);
+              color: white;
+              font-weight: 600;
+              border-radius: 8px;
+            }
+            .peer-overlay button {
+              padding: 6px 16px;
+              border: none;
+              border-radius: 4px;
+              background: #007bff;
+              color: white;
+              cursor: pointer;
+            }
             .video-label {
               margin-top: 8px;
               font-weight: 600;
@@ -705,6 +2610,16 @@ const Video = () => {
               background: #f9f9f9;
               border-radius: 6px;
             }
+            .chat-load-earlier {
+              display: block;
+              margin: 0 auto 10px;
+              padding: 6px 12px;
+              background: none;
+              border: 1px solid #ccc;
+              border-radius: 6px;
+              color: #666;
+              cursor: pointer;
+            }
             .chat-message {
               margin-bottom: 10px;
               word-break: break-word;
@@ -729,6 +2644,138 @@ const Video = () => {
               font-size: 0.8em;
               margin-left: 5px;
             }
+            .chat-message.private-message {
+              border-left: 4px solid #6f42c1;
+            }
+            .chat-private, .chat-edited {
+              font-size: 0.8em;
+              opacity: 0.8;
+            }
+            .chat-deleted {
+              opacity: 0.7;
+            }
+            .chat-text {
+              white-space: pre-wrap;
+            }
+            .chat-text code {
+              padding: 1px 4px;
+              border-radius: 4px;
+              background: rgba(0,0,0,0.1);
+            }
+            .chat-message.own-message a {
+              color: white;
+            }
+            .chat-edit {
+              display: inline-flex;
+              gap: 4px;
+            }
+            .chat-actions {
+              position: relative;
+              display: flex;
+              flex-wrap: wrap;
+              gap: 4px;
+              margin-top: 4px;
+            }
+            .chat-actions button, .chat-reaction-picker button {
+              padding: 2px 6px;
+              border: 1px solid rgba(0,0,0,0.15);
+              border-radius: 10px;
+              background: rgba(255,255,255,0.7);
+              cursor: pointer;
+              font-size: 0.8em;
+            }
+            .chat-reaction.mine {
+              border-color: #007bff;
+              background: #e7f1ff;
+            }
+            .chat-action {
+              opacity: 0.6;
+            }
+            .chat-action:hover {
+              opacity: 1;
+            }
+            .chat-reaction-picker {
+              position: absolute;
+              top: 100%;
+              left: 0;
+              display: flex;
+              gap: 2px;
+              padding: 4px;
+              background: #fff;
+              border-radius: 8px;
+              box-shadow: 0 2px 6px rgba(0,0,0,0.2);
+              z-index: 5;
+            }
+            .chat-typing {
+              min-height: 18px;
+              margin-bottom: 6px;
+              font-size: 0.8em;
+              font-style: italic;
+              color: #666;
+            }
+            .chat-input select {
+              padding: 8px;
+              border: 1px solid #ccc;
+              border-radius: 6px;
+              max-width: 120px;
+            }
+            .chat-status {
+              display: block;
+              text-align: right;
+              font-size: 0.75em;
+              opacity: 0.8;
+            }
+            .chat-status.failed {
+              color: #ffc107;
+              font-weight: 600;
+            }
+            .chat-status button {
+              margin-left: 6px;
+              padding: 2px 8px;
+              border: 1px solid currentColor;
+              border-radius: 4px;
+              background: none;
+              color: inherit;
+              cursor: pointer;
+            }
+            .chat-file {
+              margin-top: 4px;
+            }
+            .chat-file-preview {
+              display: block;
+              max-width: 100%;
+              max-height: 200px;
+              margin-bottom: 4px;
+              border-radius: 6px;
+            }
+            .chat-file-size, .chat-file-status {
+              font-size: 12px;
+              color: #666;
+            }
+            .chat-message.own-message .chat-file-size, .chat-message.own-message .chat-file-status {
+              color: inherit;
+              opacity: 0.85;
+            }
+            .chat-file-progress {
+              display: flex;
+              align-items: center;
+              gap: 6px;
+              margin-top: 2px;
+            }
+            .chat-file-progress progress {
+              flex: 1;
+              height: 8px;
+            }
+            .chat-file-progress.failed .chat-file-status {
+              color: #dc3545;
+            }
+            .chat-file-recipient {
+              font-size: 12px;
+              font-weight: 600;
+            }
+            .chat-input .chat-attach {
+              padding: 12px;
+            }
             .chat-input {
               display: flex;
               gap: 10px;
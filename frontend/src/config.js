@@ -0,0 +1,7 @@
+const runtimeConfig = window.LIVEMEET_CONFIG || {};
+
+// Socket.IO and REST endpoints live on the same server. Runtime config wins
+// over the build-time REACT_APP_SIGNALING_URL; by default the backend that
+// served the page is used.
+export const SIGNALING_SERVER_URL =
+  runtimeConfig.signalingUrl || process.env.REACT_APP_SIGNALING_URL || window.location.origin;
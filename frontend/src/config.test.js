@@ -0,0 +1,24 @@
+// The signaling URL is read once, as the module loads
+const loadSignalingUrl = () => {
+  let url;
+  jest.isolateModules(() => {
+    url = require('./config').SIGNALING_SERVER_URL;
+  });
+  return url;
+};
+
+afterEach(() => {
+  delete window.LIVEMEET_CONFIG;
+  delete process.env.REACT_APP_SIGNALING_URL;
+});
+
+test('the signaling server is the one that served the page by default', () => {
+  expect(loadSignalingUrl()).toBe(window.location.origin);
+});
+
+test('the build setting and then the runtime setting take precedence', () => {
+  process.env.REACT_APP_SIGNALING_URL = 'https://build.example.com';
+  expect(loadSignalingUrl()).toBe('https://build.example.com');
+  window.LIVEMEET_CONFIG = { signalingUrl: 'https://runtime.example.com' };
+  expect(loadSignalingUrl()).toBe('https://runtime.example.com');
+});
@@ -0,0 +1,78 @@
+const INTERVAL = 100;
+// RMS level below which nobody counts as speaking
+const SPEAKING_LEVEL = 0.02;
+// Levels fall off slowly, so the gaps between words do not count as silence
+const DECAY = 0.85;
+// Someone else has to be the loudest for this long to take over, which keeps
+// the view from flickering on a cough or crosstalk
+const SWITCH_AFTER = 1000;
+
+// Finds the dominant speaker among the meeting's streams with one Web Audio
+// analyser per audio track. `getSources` is asked on every tick and returns
+// [{ id, stream }], so people who join or leave, and tracks that change, are
+// picked up as they happen. `onChange` gets the new speaker's id; the last
+// speaker stays dominant through silence.
+export const createSpeakerDetector = ({ getSources, onChange }) => {
+  const context = new AudioContext();
+  // { id, source, analyser, samples, level } by track id
+  const inputs = new Map();
+  let speaker = null;
+  let candidate = null;
+  let candidateSince = 0;
+
+  const sync = () => {
+    const tracks = new Map();
+    getSources().forEach(({ id, stream }) => {
+      stream?.getAudioTracks()
+        .filter((track) => track.readyState === 'live')
+        .forEach((track) => tracks.set(track.id, { id, track }));
+    });
+    inputs.forEach((input, trackId) => {
+      if (tracks.has(trackId)) return;
+      input.source.disconnect();
+      inputs.delete(trackId);
+    });
+    tracks.forEach(({ id, track }, trackId) => {
+      if (inputs.has(trackId)) return;
+      const source = context.createMediaStreamSource(new MediaStream([track]));
+      const analyser = context.createAnalyser();
+      analyser.fftSize = 512;
+      source.connect(analyser);
+      inputs.set(trackId, { id, source, analyser, samples: new Uint8Array(analyser.fftSize), level: 0 });
+    });
+  };
+
+  const tick = () => {
+    sync();
+    const levels = {};
+    inputs.forEach((input) => {
+      input.analyser.getByteTimeDomainData(input.samples);
+      const power = input.samples.reduce((sum, sample) => sum + ((sample - 128) / 128) ** 2, 0) / input.samples.length;
+      input.level = Math.max(Math.sqrt(power), input.level * DECAY);
+      levels[input.id] = Math.max(levels[input.id] || 0, input.level);
+    });
+    const [loudest, level] = Object.entries(levels).reduce((best, entry) => (entry[1] > best[1] ? entry : best), [null, 0]);
+    const now = Date.now();
+    if (!loudest || level < SPEAKING_LEVEL || loudest === speaker) {
+      candidate = null;
+    } else if (loudest !== candidate) {
+      candidate = loudest;
+      candidateSince = now;
+    } else if (now - candidateSince >= SWITCH_AFTER || !(speaker in levels)) {
+      speaker = loudest;
+      candidate = null;
+      onChange(speaker);
+    }
+  };
+
+  const timer = setInterval(tick, INTERVAL);
+
+  return {
+    stop() {
+      clearInterval(timer);
+      inputs.forEach((input) => input.source.disconnect());
+      inputs.clear();
+      context.close();
+    },
+  };
+};
@@ -0,0 +1,138 @@
+import { createSpeakerDetector } from './activeSpeaker';
+
+// Each track's analyser reads a steady signal at the level set for it here,
+// so its RMS level is exactly that
+const levels = {};
+let audioContext;
+
+class FakeAudioContext {
+  constructor() {
+    audioContext = this;
+    this.sources = [];
+    this.close = jest.fn();
+  }
+
+  createMediaStreamSource(stream) {
+    const [track] = stream.tracks;
+    const source = {
+      trackId: track.id,
+      disconnect: jest.fn(),
+      connect: (analyser) => {
+        analyser.trackId = track.id;
+      },
+    };
+    this.sources.push(source);
+    return source;
+  }
+
+  createAnalyser() {
+    return {
+      fftSize: 2048,
+      getByteTimeDomainData(samples) {
+        samples.fill(128 + Math.round((levels[this.trackId] || 0) * 128));
+      },
+    };
+  }
+}
+
+const source = (id) => ({
+  id,
+  stream: { getAudioTracks: () => [{ id: `${id}-mic`, readyState: 'live' }] },
+});
+
+let sources;
+let detector;
+let onChange;
+
+const start = (ids) => {
+  sources = ids.map(source);
+  onChange = jest.fn();
+  detector = createSpeakerDetector({ getSources: () => sources, onChange });
+};
+
+const speak = (id, level) => {
+  levels[`${id}-mic`] = level;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  global.AudioContext = FakeAudioContext;
+  global.MediaStream = class {
+    constructor(tracks) {
+      this.tracks = tracks;
+    }
+  };
+  Object.keys(levels).forEach((key) => delete levels[key]);
+});
+
+afterEach(() => {
+  detector.stop();
+  jest.useRealTimers();
+  delete global.AudioContext;
+  delete global.MediaStream;
+});
+
+test('the first person to speak becomes the speaker straight away', () => {
+  start(['alice', 'bob']);
+  jest.advanceTimersByTime(500);
+  expect(onChange).not.toHaveBeenCalled();
+
+  speak('bob', 0.3);
+  jest.advanceTimersByTime(200);
+  expect(onChange).toHaveBeenCalledTimes(1);
+  expect(onChange).toHaveBeenCalledWith('bob');
+});
+
+test('someone else takes over only after being loudest for a second', () => {
+  start(['alice', 'bob']);
+  speak('alice', 0.3);
+  jest.advanceTimersByTime(200);
+  expect(onChange).toHaveBeenLastCalledWith('alice');
+
+  // A cough over someone talking does not move the view
+  speak('bob', 0.5);
+  jest.advanceTimersByTime(300);
+  speak('bob', 0);
+  jest.advanceTimersByTime(2000);
+  expect(onChange).toHaveBeenCalledTimes(1);
+
+  speak('alice', 0);
+  speak('bob', 0.5);
+  jest.advanceTimersByTime(900);
+  expect(onChange).toHaveBeenCalledTimes(1);
+  jest.advanceTimersByTime(300);
+  expect(onChange).toHaveBeenLastCalledWith('bob');
+});
+
+test('the last speaker stays through silence and quiet noise', () => {
+  start(['alice', 'bob']);
+  speak('alice', 0.3);
+  jest.advanceTimersByTime(200);
+  speak('alice', 0);
+  speak('bob', 0.01);
+  jest.advanceTimersByTime(5000);
+  expect(onChange).toHaveBeenCalledTimes(1);
+  expect(onChange).toHaveBeenLastCalledWith('alice');
+});
+
+test('a speaker who leaves is replaced without waiting', () => {
+  start(['alice', 'bob']);
+  speak('alice', 0.3);
+  jest.advanceTimersByTime(200);
+  speak('bob', 0.2);
+  sources = [source('bob')];
+  jest.advanceTimersByTime(200);
+  expect(onChange).toHaveBeenLastCalledWith('bob');
+  expect(audioContext.sources.find((s) => s.trackId === 'alice-mic').disconnect).toHaveBeenCalled();
+});
+
+test('stopping lets go of every input', () => {
+  start(['alice', 'bob']);
+  jest.advanceTimersByTime(100);
+  detector.stop();
+  audioContext.sources.forEach((s) => expect(s.disconnect).toHaveBeenCalled());
+  expect(audioContext.close).toHaveBeenCalled();
+  speak('alice', 0.3);
+  jest.advanceTimersByTime(1000);
+  expect(onChange).not.toHaveBeenCalled();
+});
@@ -0,0 +1,60 @@
+// In a mesh every peer gets a copy of our camera of its own, so the uplink is
+// shared between them. What each copy may use comes from these steps, from
+// full quality down; the more peers, the lower the starting step.
+export const ENCODING_STEPS = [
+  { maxBitrate: 1500000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+  { maxBitrate: 800000, scaleResolutionDownBy: 1.5, maxFramerate: 30 },
+  { maxBitrate: 400000, scaleResolutionDownBy: 2, maxFramerate: 24 },
+  { maxBitrate: 200000, scaleResolutionDownBy: 3, maxFramerate: 15 },
+  { maxBitrate: 100000, scaleResolutionDownBy: 4, maxFramerate: 10 },
+];
+export const LOWEST_STEP = ENCODING_STEPS.length - 1;
+
+// Stats samples in a row a link has to look fine for before it gets a step back
+const RECOVER_AFTER = 5;
+
+const startingStep = (peerCount) => {
+  if (peerCount <= 1) return 0;
+  if (peerCount === 2) return 1;
+  return peerCount <= 4 ? 2 : 3;
+};
+
+const isStruggling = ({ rtt, outbound }) =>
+  outbound.packetLoss > 5 || rtt > 400 || outbound.limitation === 'bandwidth';
+
+const isHealthy = ({ rtt, outbound }) =>
+  (outbound.packetLoss ?? 0) < 2 && (rtt ?? 0) < 250 && outbound.limitation !== 'bandwidth';
+
+// Picks the step for each peer from the peer count and that peer's latest
+// connection stats summary (see connectionStats). A link that struggles
+// drops a step on every sample; it only climbs back one step at a time after
+// RECOVER_AFTER good samples, so the quality does not seesaw.
+export const createBandwidthAdapter = () => {
+  // { backoff, goodSamples } by peer id
+  const links = new Map();
+
+  return {
+    step(peerId, summary, peerCount) {
+      const link = links.get(peerId) || { backoff: 0, goodSamples: 0 };
+      links.set(peerId, link);
+      const start = startingStep(peerCount);
+      if (summary && isStruggling(summary)) {
+        link.backoff = Math.min(LOWEST_STEP - start, link.backoff + 1);
+        link.goodSamples = 0;
+      } else if (summary && isHealthy(summary)) {
+        link.goodSamples += 1;
+        if (link.goodSamples >= RECOVER_AFTER && link.backoff > 0) {
+          link.backoff -= 1;
+          link.goodSamples = 0;
+        }
+      } else {
+        link.goodSamples = 0;
+      }
+      return Math.min(LOWEST_STEP, start + link.backoff);
+    },
+
+    forget(peerId) {
+      links.delete(peerId);
+    },
+  };
+};
@@ -0,0 +1,47 @@
+import { ENCODING_STEPS, LOWEST_STEP, createBandwidthAdapter } from './bandwidth';
+
+const summary = ({ rtt = 50, packetLoss = 0, limitation = 'none' } = {}) => ({ rtt, outbound: { packetLoss, limitation } });
+const healthy = summary();
+const struggling = summary({ packetLoss: 8 });
+const middling = summary({ packetLoss: 3 });
+
+test('steps go from full quality down', () => {
+  expect(LOWEST_STEP).toBe(ENCODING_STEPS.length - 1);
+  ENCODING_STEPS.slice(1).forEach((step, index) => {
+    expect(step.maxBitrate).toBeLessThan(ENCODING_STEPS[index].maxBitrate);
+  });
+});
+
+test('the more peers share the uplink, the lower each one starts', () => {
+  const adapter = createBandwidthAdapter();
+  expect([1, 2, 3, 4, 5, 8].map((count) => adapter.step(`peer-${count}`, null, count))).toEqual([0, 1, 2, 2, 3, 3]);
+});
+
+test('a struggling link drops a step on every sample, down to the lowest', () => {
+  const adapter = createBandwidthAdapter();
+  expect(adapter.step('bob', summary({ rtt: 500 }), 1)).toBe(1);
+  expect(adapter.step('bob', summary({ limitation: 'bandwidth' }), 1)).toBe(2);
+  expect(Array.from({ length: 5 }, () => adapter.step('bob', struggling, 1))).toEqual([3, 4, 4, 4, 4]);
+  // Other peers are not held back by it
+  expect(adapter.step('carol', healthy, 1)).toBe(0);
+});
+
+test('a link climbs back one step after enough good samples in a row', () => {
+  const adapter = createBandwidthAdapter();
+  adapter.step('bob', struggling, 1);
+  adapter.step('bob', struggling, 1);
+  expect(Array.from({ length: 5 }, () => adapter.step('bob', healthy, 1))).toEqual([2, 2, 2, 2, 1]);
+
+  // A sample that is neither good nor bad starts the count again
+  Array.from({ length: 4 }, () => adapter.step('bob', healthy, 1));
+  expect(adapter.step('bob', middling, 1)).toBe(1);
+  expect(Array.from({ length: 5 }, () => adapter.step('bob', healthy, 1))).toEqual([1, 1, 1, 1, 0]);
+});
+
+test('a link that is forgotten starts over', () => {
+  const adapter = createBandwidthAdapter();
+  adapter.step('bob', struggling, 2);
+  expect(adapter.step('bob', null, 2)).toBe(2);
+  adapter.forget('bob');
+  expect(adapter.step('bob', null, 2)).toBe(1);
+});
@@ -0,0 +1,37 @@
+// The chat list as the client keeps it: messages from the server, our own
+// that are still on their way, and shared files, which never reach the server
+
+export const createClientId = () =>
+  window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export const toChatEntry = (msg) => ({
+  id: msg.id,
+  clientId: msg.clientId,
+  from: msg.from,
+  to: msg.to,
+  toUserName: msg.toUserName,
+  userName: msg.userName || 'Unknown',
+  message: msg.message,
+  reactions: msg.reactions || {},
+  editedAt: msg.editedAt,
+  deleted: msg.deleted,
+  time: new Date(msg.timestamp).toLocaleTimeString(),
+});
+
+// Client ids are only unique per sender, as on the server
+export const isSameClientMessage = (a, b) => !!a.clientId && a.clientId === b.clientId && a.from === b.from;
+
+// A message from the server, unless we already have it
+export const addReceivedMessage = (messages, data) => (
+  messages.some((msg) => msg.id === data.id || isSameClientMessage(msg, data))
+    ? messages
+    : [...messages, toChatEntry(data)]
+);
+
+// The latest history replaces what we had, except our own messages that the
+// server has not confirmed yet and shared files
+export const mergeHistory = (messages, history) => {
+  const unsent = messages.filter((msg) => msg.file || (msg.status && msg.status !== 'sent'
+    && !history.some((item) => isSameClientMessage(item, msg))));
+  return [...history.map(toChatEntry), ...unsent];
+};
@@ -0,0 +1,47 @@
+import { addReceivedMessage, createClientId, mergeHistory } from './chatMessages';
+
+const received = (id, from, clientId, message = `message ${id}`) => ({
+  id,
+  from,
+  clientId,
+  userName: from,
+  message,
+  timestamp: '2026-01-01T10:00:00.000Z',
+});
+
+const pending = (from, clientId, message) => ({ clientId, from, message, own: true, status: 'pending' });
+
+test('a received message is added once', () => {
+  const once = addReceivedMessage([], received('m1', 'alice', 'c1'));
+  expect(once.map((msg) => msg.id)).toEqual(['m1']);
+  expect(addReceivedMessage(once, received('m1', 'alice', 'c1'))).toBe(once);
+});
+
+test('a message is only taken for ours when it has our sender and client id', () => {
+  const ours = [pending('alice', 'c1', 'hello')];
+  // The server echoing ours back
+  expect(addReceivedMessage(ours, received('m1', 'alice', 'c1'))).toBe(ours);
+  // Someone else's that happens to share the client id
+  const both = addReceivedMessage(ours, received('m2', 'bob', 'c1', 'hi'));
+  expect(both.map((msg) => msg.message)).toEqual(['hello', 'hi']);
+});
+
+test('history keeps our unconfirmed messages and shared files', () => {
+  const messages = [
+    received('m0', 'carol', 'c0'),
+    pending('alice', 'c1', 'confirmed meanwhile'),
+    pending('alice', 'c2', 'still on its way'),
+    { clientId: 'f1', from: 'alice', own: true, file: { name: 'notes.txt' } },
+  ];
+  const merged = mergeHistory(messages, [
+    received('m0', 'carol', 'c0'),
+    received('m1', 'alice', 'c1', 'confirmed meanwhile'),
+    received('m2', 'bob', 'c2', 'not ours'),
+  ]);
+  expect(merged.map((msg) => msg.id || msg.clientId)).toEqual(['m0', 'm1', 'm2', 'c2', 'f1']);
+  expect(merged.find((msg) => msg.id === 'm1').userName).toBe('alice');
+});
+
+test('client ids are not repeated', () => {
+  expect(createClientId()).not.toBe(createClientId());
+});
@@ -0,0 +1,103 @@
+// Turns getStats() reports into the numbers people look at when a call goes
+// bad. Rates are worked out against the previous summary of the same
+// connection, so pass the last one back in on every sample.
+//
+// A summary looks like:
+//   { timestamp, candidateType: 'host' | 'srflx' | 'prflx' | 'relay', rtt,
+//     inbound: { bitrate, packetLoss, jitter, frameRate, width, height },
+//     outbound: { bitrate, packetLoss, limitation, frameRate, width, height },
+//     totals }
+// with bitrates in kbps, packetLoss in percent and rtt and jitter in ms.
+// Outbound loss is what the other side reports back; `limitation` is why
+// the browser sends less than it could ('bandwidth', 'cpu' or 'none').
+// Anything the browser did not report is null.
+
+const selectedPair = (report) => {
+  let transportPairId = null;
+  const pairs = [];
+  report.forEach((stat) => {
+    if (stat.type === 'transport' && stat.selectedCandidatePairId) transportPairId = stat.selectedCandidatePairId;
+    if (stat.type === 'candidate-pair') pairs.push(stat);
+  });
+  return pairs.find((pair) => pair.id === transportPairId)
+    // Firefox marks the pair itself
+    || pairs.find((pair) => pair.selected)
+    || pairs.find((pair) => pair.nominated && pair.state === 'succeeded')
+    || null;
+};
+
+// Bits per millisecond are kilobits per second
+const rate = (bytes, previousBytes, elapsed) =>
+  (previousBytes === undefined || elapsed <= 0 ? null : Math.max(0, Math.round(((bytes - previousBytes) * 8) / elapsed)));
+
+// The largest video, which for simulcast is the layer that matters
+const largestVideo = (stats) => stats.reduce((best, stat) => ((stat.frameWidth || 0) > (best?.frameWidth || 0) ? stat : best), stats[0]);
+
+export const summarizeStats = (report, previous) => {
+  const inbound = [];
+  const outbound = [];
+  const remoteInbound = [];
+  report.forEach((stat) => {
+    if (stat.type === 'inbound-rtp') inbound.push(stat);
+    if (stat.type === 'outbound-rtp') outbound.push(stat);
+    if (stat.type === 'remote-inbound-rtp') remoteInbound.push(stat);
+  });
+  const remoteRtt = remoteInbound.find((stat) => stat.roundTripTime !== undefined)?.roundTripTime ?? null;
+  const remoteLoss = remoteInbound.filter((stat) => stat.fractionLost !== undefined).map((stat) => stat.fractionLost);
+
+  const pair = selectedPair(report);
+  const local = pair && report.get(pair.localCandidateId);
+  const remote = pair && report.get(pair.remoteCandidateId);
+  const rtt = pair?.currentRoundTripTime ?? remoteRtt;
+
+  const sum = (stats, key) => stats.reduce((total, stat) => total + (stat[key] || 0), 0);
+  const totals = {
+    bytesReceived: sum(inbound, 'bytesReceived'),
+    bytesSent: sum(outbound, 'bytesSent'),
+    packetsReceived: sum(inbound, 'packetsReceived'),
+    packetsLost: sum(inbound, 'packetsLost'),
+  };
+  const timestamp = Date.now();
+  const elapsed = previous ? timestamp - previous.timestamp : 0;
+  const lost = totals.packetsLost - (previous?.totals.packetsLost ?? totals.packetsLost);
+  const received = totals.packetsReceived - (previous?.totals.packetsReceived ?? totals.packetsReceived);
+  const jitters = inbound.filter((stat) => stat.jitter !== undefined).map((stat) => stat.jitter);
+  const videoIn = largestVideo(inbound.filter((stat) => stat.kind === 'video'));
+  const videoOut = largestVideo(outbound.filter((stat) => stat.kind === 'video'));
+
+  return {
+    timestamp,
+    candidateType: [local, remote].some((candidate) => candidate?.candidateType === 'relay')
+      ? 'relay'
+      : local?.candidateType || null,
+    rtt: rtt === null || rtt === undefined ? null : Math.round(rtt * 1000),
+    inbound: {
+      bitrate: rate(totals.bytesReceived, previous?.totals.bytesReceived, elapsed),
+      packetLoss: previous && lost + received > 0 ? Math.round((lost / (lost + received)) * 1000) / 10 : null,
+      jitter: jitters.length ? Math.round(Math.max(...jitters) * 1000) : null,
+      frameRate: videoIn?.framesPerSecond ?? null,
+      width: videoIn?.frameWidth ?? null,
+      height: videoIn?.frameHeight ?? null,
+    },
+    outbound: {
+      bitrate: rate(totals.bytesSent, previous?.totals.bytesSent, elapsed),
+      packetLoss: remoteLoss.length ? Math.round(Math.max(...remoteLoss) * 1000) / 10 : null,
+      limitation: videoOut?.qualityLimitationReason ?? null,
+      frameRate: videoOut?.framesPerSecond ?? null,
+      width: videoOut?.frameWidth ?? null,
+      height: videoOut?.frameHeight ?? null,
+    },
+    totals,
+  };
+};
+
+// 0 (no stats yet) to 4 bars
+export const qualityLevel = (summary) => {
+  if (!summary) return 0;
+  const loss = summary.inbound.packetLoss ?? 0;
+  const rtt = summary.rtt ?? 0;
+  if (loss > 10 || rtt > 600) return 1;
+  if (loss > 5 || rtt > 300) return 2;
+  if (loss > 2 || rtt > 150) return 3;
+  return 4;
+};
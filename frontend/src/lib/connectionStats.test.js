@@ -0,0 +1,115 @@
+import { qualityLevel, summarizeStats } from './connectionStats';
+
+// A getStats() report: stats by id
+const report = (...stats) => new Map(stats.map((stat) => [stat.id, stat]));
+
+const candidates = (localType = 'host', remoteType = 'srflx') => [
+  { id: 'transport', type: 'transport', selectedCandidatePairId: 'pair-2' },
+  { id: 'pair-1', type: 'candidate-pair', localCandidateId: 'local-2', remoteCandidateId: 'remote', currentRoundTripTime: 0.9 },
+  { id: 'pair-2', type: 'candidate-pair', localCandidateId: 'local', remoteCandidateId: 'remote', currentRoundTripTime: 0.0424 },
+  { id: 'local', type: 'local-candidate', candidateType: localType },
+  { id: 'local-2', type: 'local-candidate', candidateType: 'relay' },
+  { id: 'remote', type: 'remote-candidate', candidateType: remoteType },
+];
+
+const sample = ({ received, lost, bytesIn, bytesOut }) => report(
+  ...candidates(),
+  { id: 'in-audio', type: 'inbound-rtp', kind: 'audio', bytesReceived: bytesIn / 2, packetsReceived: received / 2, packetsLost: lost, jitter: 0.004 },
+  {
+    id: 'in-video',
+    type: 'inbound-rtp',
+    kind: 'video',
+    bytesReceived: bytesIn / 2,
+    packetsReceived: received / 2,
+    packetsLost: 0,
+    jitter: 0.012,
+    framesPerSecond: 24,
+    frameWidth: 640,
+    frameHeight: 360,
+  },
+  { id: 'out-low', type: 'outbound-rtp', kind: 'video', bytesSent: bytesOut / 2, frameWidth: 320, frameHeight: 180, framesPerSecond: 30 },
+  {
+    id: 'out-high',
+    type: 'outbound-rtp',
+    kind: 'video',
+    bytesSent: bytesOut / 2,
+    frameWidth: 1280,
+    frameHeight: 720,
+    framesPerSecond: 15,
+    qualityLimitationReason: 'bandwidth',
+  },
+  { id: 'remote-in', type: 'remote-inbound-rtp', roundTripTime: 0.05, fractionLost: 0.031 },
+);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('the first sample has what the browser reported but no rates yet', () => {
+  jest.spyOn(Date, 'now').mockReturnValue(10000);
+  const summary = summarizeStats(sample({ received: 1000, lost: 10, bytesIn: 100000, bytesOut: 200000 }));
+  expect(summary.timestamp).toBe(10000);
+  expect(summary.candidateType).toBe('host');
+  expect(summary.rtt).toBe(42);
+  expect(summary.inbound).toEqual({ bitrate: null, packetLoss: null, jitter: 12, frameRate: 24, width: 640, height: 360 });
+  // Simulcast reports the largest layer
+  expect(summary.outbound).toEqual({
+    bitrate: null,
+    packetLoss: 3.1,
+    limitation: 'bandwidth',
+    frameRate: 15,
+    width: 1280,
+    height: 720,
+  });
+});
+
+test('rates and loss are worked out against the previous sample', () => {
+  jest.spyOn(Date, 'now').mockReturnValue(10000);
+  const first = summarizeStats(sample({ received: 1000, lost: 10, bytesIn: 100000, bytesOut: 200000 }));
+  Date.now.mockReturnValue(12000);
+  const second = summarizeStats(sample({ received: 1190, lost: 20, bytesIn: 350000, bytesOut: 700000 }), first);
+  // 250 kB in 2 s
+  expect(second.inbound.bitrate).toBe(1000);
+  expect(second.outbound.bitrate).toBe(2000);
+  // 10 lost of the 200 sent in between
+  expect(second.inbound.packetLoss).toBe(5);
+});
+
+test('a connection through TURN on either end counts as relayed', () => {
+  const relayed = (local, remote) => summarizeStats(report(...candidates(local, remote))).candidateType;
+  expect(relayed('host', 'relay')).toBe('relay');
+  expect(relayed('relay', 'srflx')).toBe('relay');
+  expect(relayed('srflx', 'host')).toBe('srflx');
+});
+
+test('the selected pair is found the way each browser marks it', () => {
+  const firefox = report(
+    { id: 'pair', type: 'candidate-pair', selected: true, localCandidateId: 'local', remoteCandidateId: 'remote' },
+    { id: 'local', type: 'local-candidate', candidateType: 'prflx' },
+    { id: 'remote', type: 'remote-candidate', candidateType: 'host' },
+  );
+  expect(summarizeStats(firefox).candidateType).toBe('prflx');
+  // Without a pair, the round trip time the other side reports is used
+  const noPair = summarizeStats(report({ id: 'remote-in', type: 'remote-inbound-rtp', roundTripTime: 0.2 }));
+  expect(noPair.candidateType).toBeNull();
+  expect(noPair.rtt).toBe(200);
+});
+
+test('anything not reported is null', () => {
+  const summary = summarizeStats(report());
+  expect(summary.rtt).toBeNull();
+  expect(Object.values(summary.inbound).every((value) => value === null)).toBe(true);
+  expect(Object.values(summary.outbound).every((value) => value === null)).toBe(true);
+});
+
+test('quality goes by the worse of packet loss and round trip time', () => {
+  const quality = (packetLoss, rtt) => qualityLevel({ rtt, inbound: { packetLoss } });
+  expect(qualityLevel(null)).toBe(0);
+  expect(quality(null, null)).toBe(4);
+  expect(quality(1, 100)).toBe(4);
+  expect(quality(3, 100)).toBe(3);
+  expect(quality(1, 400)).toBe(2);
+  expect(quality(6, 160)).toBe(2);
+  expect(quality(12, 100)).toBe(1);
+  expect(quality(0, 700)).toBe(1);
+});
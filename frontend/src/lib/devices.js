@@ -0,0 +1,109 @@
+// Camera, microphone and speaker choices, remembered across visits
+const PREFERENCES_KEY = 'livemeet.devices';
+
+export const DEVICE_KINDS = {
+  audioInput: 'audioinput',
+  videoInput: 'videoinput',
+  audioOutput: 'audiooutput',
+};
+
+export const supportsSinkSelection = typeof HTMLMediaElement !== 'undefined'
+  && 'setSinkId' in HTMLMediaElement.prototype;
+
+export const loadDevicePreferences = () => {
+  try {
+    return { audioInput: '', videoInput: '', audioOutput: '', ...JSON.parse(localStorage.getItem(PREFERENCES_KEY)) };
+  } catch (err) {
+    return { audioInput: '', videoInput: '', audioOutput: '' };
+  }
+};
+
+export const saveDevicePreferences = (preferences) => {
+  localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+};
+
+// Devices by preference key. Labels are empty until the page has been
+// allowed to use a camera or microphone.
+export const listDevices = async () => {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return Object.fromEntries(Object.entries(DEVICE_KINDS).map(([key, kind]) => [
+    key,
+    devices.filter((device) => device.kind === kind && device.deviceId),
+  ]));
+};
+
+// A chosen device that is no longer there falls back to the default one
+// rather than failing
+const deviceConstraint = (deviceId) => (deviceId ? { deviceId: { ideal: deviceId } } : true);
+
+export const mediaConstraints = (preferences, { audio = true, video = true } = {}) => ({
+  audio: audio && deviceConstraint(preferences.audioInput),
+  video: video && deviceConstraint(preferences.videoInput),
+});
+
+// Calls onLevel with the level of a microphone track, 0 to 1, every frame
+// until the returned function is called
+export const createLevelMeter = (track, onLevel) => {
+  const context = new AudioContext();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 512;
+  context.createMediaStreamSource(new MediaStream([track])).connect(analyser);
+  const samples = new Uint8Array(analyser.fftSize);
+  let frame;
+  const measure = () => {
+    analyser.getByteTimeDomainData(samples);
+    const power = samples.reduce((sum, sample) => sum + ((sample - 128) / 128) ** 2, 0) / samples.length;
+    // Speech sits around 0.05-0.2 RMS, so scale it up to fill the meter
+    onLevel(Math.min(1, Math.sqrt(power) * 4));
+    frame = requestAnimationFrame(measure);
+  };
+  measure();
+  return () => {
+    cancelAnimationFrame(frame);
+    context.close();
+  };
+};
+
+export const describeMediaError = (err) => {
+  switch (err.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Access was blocked. Allow it in your browser\'s site settings.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'No device found.';
+    case 'NotReadableError':
+    case 'AbortError':
+      return 'The device is in use by another application.';
+    default:
+      return err.message;
+  }
+};
+
+// Opens the microphone and camera together, or if that fails, each on its
+// own so that one missing or blocked device leaves the other usable. Errors
+// are by kind ('audio', 'video'), in words for the user. Rejects when the
+// browser has no media capture at all.
+export const openLocalMedia = async (preferences) => {
+  if (typeof MediaStream === 'undefined' || !navigator.mediaDevices?.getUserMedia) {
+    throw new Error('This browser can not use a camera or microphone.');
+  }
+  try {
+    return { stream: await navigator.mediaDevices.getUserMedia(mediaConstraints(preferences)), errors: {} };
+  } catch (err) {
+    // Find out which of the two it was
+  }
+  const stream = new MediaStream();
+  const errors = {};
+  await Promise.all(['audio', 'video'].map(async (kind) => {
+    try {
+      const opened = await navigator.mediaDevices.getUserMedia(
+        mediaConstraints(preferences, { audio: kind === 'audio', video: kind === 'video' }),
+      );
+      opened.getTracks().forEach((track) => stream.addTrack(track));
+    } catch (err) {
+      errors[kind] = describeMediaError(err);
+    }
+  }));
+  return { stream, errors };
+};
@@ -0,0 +1,132 @@
+import {
+  describeMediaError,
+  listDevices,
+  loadDevicePreferences,
+  mediaConstraints,
+  openLocalMedia,
+  saveDevicePreferences,
+} from './devices';
+
+const mediaError = (name, message = name) => Object.assign(new Error(message), { name });
+
+afterEach(() => {
+  localStorage.clear();
+  delete navigator.mediaDevices;
+});
+
+describe('device preferences', () => {
+  test('are remembered across visits', () => {
+    expect(loadDevicePreferences()).toEqual({ audioInput: '', videoInput: '', audioOutput: '' });
+    saveDevicePreferences({ audioInput: 'mic-2', videoInput: 'cam-1', audioOutput: '' });
+    expect(loadDevicePreferences()).toEqual({ audioInput: 'mic-2', videoInput: 'cam-1', audioOutput: '' });
+  });
+
+  test('fall back to the defaults when what was stored can not be read', () => {
+    localStorage.setItem('livemeet.devices', '{not json');
+    expect(loadDevicePreferences()).toEqual({ audioInput: '', videoInput: '', audioOutput: '' });
+  });
+
+  test('ask for a chosen device without requiring it', () => {
+    expect(mediaConstraints({ audioInput: 'mic-2', videoInput: '' })).toEqual({
+      audio: { deviceId: { ideal: 'mic-2' } },
+      video: true,
+    });
+    expect(mediaConstraints({ audioInput: '', videoInput: 'cam-1' }, { audio: false })).toEqual({
+      audio: false,
+      video: { deviceId: { ideal: 'cam-1' } },
+    });
+  });
+});
+
+test('devices are listed by kind, leaving out those without an id', async () => {
+  navigator.mediaDevices = {
+    enumerateDevices: async () => [
+      { kind: 'audioinput', deviceId: 'mic-1', label: 'Microphone' },
+      { kind: 'videoinput', deviceId: 'cam-1', label: 'Camera' },
+      { kind: 'videoinput', deviceId: '', label: '' },
+      { kind: 'audiooutput', deviceId: 'default', label: 'Speakers' },
+    ],
+  };
+  const devices = await listDevices();
+  expect(devices.audioInput.map((d) => d.deviceId)).toEqual(['mic-1']);
+  expect(devices.videoInput.map((d) => d.deviceId)).toEqual(['cam-1']);
+  expect(devices.audioOutput.map((d) => d.deviceId)).toEqual(['default']);
+});
+
+test('media errors are explained in words for the user', () => {
+  expect(describeMediaError(mediaError('NotAllowedError'))).toMatch(/^Access was blocked/);
+  expect(describeMediaError(mediaError('OverconstrainedError'))).toBe('No device found.');
+  expect(describeMediaError(mediaError('NotReadableError'))).toBe('The device is in use by another application.');
+  expect(describeMediaError(mediaError('TypeError', 'Something else'))).toBe('Something else');
+});
+
+describe('openLocalMedia', () => {
+  class FakeMediaStream {
+    constructor(tracks = []) {
+      this.tracks = [...tracks];
+    }
+
+    addTrack(track) {
+      this.tracks.push(track);
+    }
+
+    getTracks() {
+      return this.tracks;
+    }
+  }
+
+  // A browser where only the devices in `available` open; the rest fail
+  // with the given error
+  const useDevices = (available) => {
+    navigator.mediaDevices = {
+      getUserMedia: jest.fn(async ({ audio, video }) => {
+        const kinds = ['audio', 'video'].filter((kind) => ({ audio, video })[kind]);
+        const failing = kinds.find((kind) => available[kind] instanceof Error);
+        if (failing) throw available[failing];
+        return new FakeMediaStream(kinds.map((kind) => ({ kind })));
+      }),
+    };
+  };
+
+  beforeEach(() => {
+    global.MediaStream = FakeMediaStream;
+  });
+
+  afterEach(() => {
+    delete global.MediaStream;
+  });
+
+  test('opens the camera and microphone together', async () => {
+    useDevices({ audio: true, video: true });
+    const { stream, errors } = await openLocalMedia({ audioInput: 'mic-2', videoInput: '' });
+    expect(stream.getTracks().map((t) => t.kind)).toEqual(['audio', 'video']);
+    expect(errors).toEqual({});
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({
+      audio: { deviceId: { ideal: 'mic-2' } },
+      video: true,
+    });
+  });
+
+  test('keeps the microphone when the camera can not be opened', async () => {
+    useDevices({ audio: true, video: mediaError('NotReadableError') });
+    const { stream, errors } = await openLocalMedia({ audioInput: '', videoInput: '' });
+    expect(stream.getTracks().map((t) => t.kind)).toEqual(['audio']);
+    expect(errors).toEqual({ video: 'The device is in use by another application.' });
+  });
+
+  test('explains each device that can not be opened', async () => {
+    useDevices({ audio: mediaError('NotAllowedError'), video: mediaError('NotFoundError') });
+    const { stream, errors } = await openLocalMedia({ audioInput: '', videoInput: '' });
+    expect(stream.getTracks()).toEqual([]);
+    expect(errors.audio).toMatch(/^Access was blocked/);
+    expect(errors.video).toBe('No device found.');
+  });
+
+  test('rejects in a browser without media capture', async () => {
+    await expect(openLocalMedia({})).rejects.toThrow('This browser can not use a camera or microphone.');
+    delete global.MediaStream;
+    useDevices({ audio: true, video: true });
+    await expect(openLocalMedia({})).rejects.toThrow('This browser can not use a camera or microphone.');
+  });
+});
@@ -0,0 +1,81 @@
+// Wire format for shared files, used on the peer data channel and, unchanged,
+// for frames relayed through the server. A chunk is a 0 byte, the 16
+// character transfer id and the file bytes; every other frame is JSON:
+//   { type: 'file-offer', fileId, name, size, mime, hash, userName, private }
+//   { type: 'file-end' | 'file-cancel', fileId }
+//   { type: 'file-ack', fileId, ok }   (receiver -> sender, after hashing)
+export const PEER_CHUNK_SIZE = 16 * 1024;
+// Relayed frames wait for the server's acknowledgement, so bigger chunks
+// keep the round trips down
+export const RELAY_CHUNK_SIZE = 64 * 1024;
+
+const CHUNK_FRAME = 0;
+const ID_LENGTH = 16;
+// Made on use rather than when the module loads, which would break any
+// environment without them, such as the jsdom the tests run in
+const encodeText = (text) => new TextEncoder().encode(text);
+const decodeText = (bytes) => new TextDecoder().decode(bytes);
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+export const createFileId = () => toHex(window.crypto.getRandomValues(new Uint8Array(ID_LENGTH / 2)));
+
+export const encodeControl = (message) => encodeText(JSON.stringify(message));
+
+export const encodeChunk = (fileId, bytes) => {
+  const frame = new Uint8Array(1 + ID_LENGTH + bytes.byteLength);
+  frame[0] = CHUNK_FRAME;
+  frame.set(encodeText(fileId), 1);
+  frame.set(new Uint8Array(bytes), 1 + ID_LENGTH);
+  return frame;
+};
+
+// Accepts an ArrayBuffer, as both the data channel and socket.io deliver
+// them, or a byte array. Returns null for anything that is not a file frame.
+export const decodeFrame = (data) => {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  if (!(bytes instanceof Uint8Array) || !bytes.length) return null;
+  if (bytes[0] === CHUNK_FRAME) {
+    return {
+      type: 'file-chunk',
+      fileId: decodeText(bytes.subarray(1, 1 + ID_LENGTH)),
+      data: bytes.slice(1 + ID_LENGTH),
+    };
+  }
+  try {
+    return JSON.parse(decodeText(bytes));
+  } catch (err) {
+    return null;
+  }
+};
+
+export const sha256 = async (blob) => toHex(await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+
+// Writes to a peer's data channel; once its buffer is full this waits for
+// the peer's 'drain' before resolving, so senders can not outrun it
+export const writeToPeer = (peer, frame) => new Promise((resolve, reject) => {
+  if (peer.destroyed) {
+    reject(new Error('Peer connection closed'));
+    return;
+  }
+  if (peer.write(frame)) {
+    resolve();
+    return;
+  }
+  const onDrain = () => {
+    peer.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    peer.off('drain', onDrain);
+    reject(new Error('Peer connection closed'));
+  };
+  peer.once('drain', onDrain);
+  peer.once('close', onClose);
+});
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,74 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { EventEmitter } from 'events';
+import { decodeFrame, encodeChunk, encodeControl, formatBytes, writeToPeer } from './fileTransfer';
+
+// jsdom has no text codecs of its own
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const FILE_ID = '0123456789abcdef';
+
+// Frames arrive as an ArrayBuffer, over the data channel and through the relay
+const received = (frame) => new Uint8Array(frame).buffer;
+
+test('a chunk carries its transfer id and bytes', () => {
+  const frame = encodeChunk(FILE_ID, new Uint8Array([1, 2, 3]).buffer);
+  expect(frame.length).toBe(1 + FILE_ID.length + 3);
+  const decoded = decodeFrame(received(frame));
+  expect(decoded.type).toBe('file-chunk');
+  expect(decoded.fileId).toBe(FILE_ID);
+  expect(Array.from(decoded.data)).toEqual([1, 2, 3]);
+});
+
+test('control messages travel as JSON', () => {
+  const offer = { type: 'file-offer', fileId: FILE_ID, name: 'notes.txt', size: 3, mime: 'text/plain' };
+  expect(decodeFrame(received(encodeControl(offer)))).toEqual(offer);
+  expect(decodeFrame(new Uint8Array(encodeControl({ type: 'file-end', fileId: FILE_ID })))).toEqual({
+    type: 'file-end',
+    fileId: FILE_ID,
+  });
+});
+
+test('anything else is not a file frame', () => {
+  expect(decodeFrame(new ArrayBuffer(0))).toBeNull();
+  expect(decodeFrame('file-offer')).toBeNull();
+  expect(decodeFrame(received(new TextEncoder().encode('not json')))).toBeNull();
+});
+
+test('sizes are shown in the largest unit that fits', () => {
+  expect(formatBytes(512)).toBe('512 B');
+  expect(formatBytes(1536)).toBe('1.5 KB');
+  expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+});
+
+describe('writeToPeer', () => {
+  const createPeer = (accepts) => Object.assign(new EventEmitter(), { destroyed: false, write: jest.fn(() => accepts) });
+
+  test('resolves once the peer has taken the frame', async () => {
+    const peer = createPeer(true);
+    await writeToPeer(peer, 'frame');
+    expect(peer.write).toHaveBeenCalledWith('frame');
+  });
+
+  test('waits for a full buffer to drain', async () => {
+    const peer = createPeer(false);
+    let written = false;
+    const writing = writeToPeer(peer, 'frame').then(() => {
+      written = true;
+    });
+    await Promise.resolve();
+    expect(written).toBe(false);
+    peer.emit('drain');
+    await writing;
+    expect(peer.listenerCount('close')).toBe(0);
+  });
+
+  test('fails when the peer goes away', async () => {
+    const peer = createPeer(false);
+    const writing = writeToPeer(peer, 'frame');
+    peer.emit('close');
+    await expect(writing).rejects.toThrow('Peer connection closed');
+    await expect(writeToPeer(Object.assign(createPeer(true), { destroyed: true }), 'frame'))
+      .rejects.toThrow('Peer connection closed');
+  });
+});
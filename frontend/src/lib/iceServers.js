@@ -0,0 +1,25 @@
+import { SIGNALING_SERVER_URL } from '../config';
+
+export const FALLBACK_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+let cached = null;
+
+// ICE servers come from the backend so TURN credentials can be short-lived.
+// The server sends them when we enter a room; this fetches fresh ones for the
+// participant signed in with `sessionToken` (see signaling), who must still be
+// in a room. They are reused for that same participant until most of their
+// lifetime has passed. Rejects when they could not be loaded.
+export const getIceServers = async (sessionToken) => {
+  if (cached && cached.sessionToken === sessionToken && cached.expiresAt > Date.now()) {
+    return cached.iceServers;
+  }
+  const res = await fetch(`${SIGNALING_SERVER_URL}/api/ice-servers`, {
+    headers: { Authorization: `Bearer ${sessionToken}` },
+  });
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}`);
+  }
+  const { iceServers, ttl } = await res.json();
+  cached = { sessionToken, iceServers, expiresAt: Date.now() + ttl * 1000 * 0.8 };
+  return iceServers;
+};
@@ -0,0 +1,42 @@
+import { getIceServers } from './iceServers';
+
+const SERVERS = [{ urls: 'turn:turn.example.com', username: 'u', credential: 'c' }];
+
+const respond = (status, body) => Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(body) });
+
+beforeEach(() => {
+  global.fetch = jest.fn(() => respond(200, { iceServers: SERVERS, ttl: 3600 }));
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('fetches the servers signed in as the participant', async () => {
+  await expect(getIceServers('alice-token')).resolves.toEqual(SERVERS);
+  expect(fetch).toHaveBeenCalledWith(expect.stringMatching(/\/api\/ice-servers$/), {
+    headers: { Authorization: 'Bearer alice-token' },
+  });
+});
+
+test('reuses the servers for the same participant only', async () => {
+  await getIceServers('bob-token');
+  await getIceServers('bob-token');
+  expect(fetch).toHaveBeenCalledTimes(1);
+  await getIceServers('carol-token');
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
+
+test('fetches again once most of their lifetime has passed', async () => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+  await getIceServers('dave-token');
+  now.mockReturnValue(3600 * 1000 * 0.8 + 1);
+  await getIceServers('dave-token');
+  expect(fetch).toHaveBeenCalledTimes(2);
+  now.mockRestore();
+});
+
+test('rejects when the servers could not be loaded', async () => {
+  fetch.mockImplementation(() => respond(403, { error: 'You are not in a room' }));
+  await expect(getIceServers('erin-token')).rejects.toThrow('HTTP 403');
+});
@@ -0,0 +1,51 @@
+import React from 'react';
+
+// Chat formatting without HTML injection: text is split into React elements,
+// so anything that is not one of these tokens is rendered as plain text.
+// Supports `code`, **bold**, ~~strike~~, *italic*, [label](https://...) and
+// bare http(s) links.
+const TOKEN = new RegExp([
+  '(`[^`\\n]+`)',
+  '(\\*\\*[^*\\n]+\\*\\*)',
+  '(~~[^~\\n]+~~)',
+  '(\\*[^*\\n]+\\*)',
+  '(\\[[^\\]\\n]+\\]\\(https?:\\/\\/[^\\s)]+\\))',
+  '(https?:\\/\\/[^\\s<]*[^\\s<.,;:!?)\\]\'"])',
+].join('|'), 'gi');
+
+const Link = ({ href, children }) => (
+  <a href={href} target="_blank" rel="noopener noreferrer">{children}</a>
+);
+
+export const renderMarkdown = (text, keyPrefix = 'md') => {
+  const nodes = [];
+  const pattern = new RegExp(TOKEN.source, TOKEN.flags);
+  let lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [token, code, bold, strike, italic, link, url] = match;
+    const key = `${keyPrefix}-${match.index}`;
+    if (match.index > lastIndex) {
+      nodes.push(text.slice(lastIndex, match.index));
+    }
+    if (code) {
+      nodes.push(<code key={key}>{code.slice(1, -1)}</code>);
+    } else if (bold) {
+      nodes.push(<strong key={key}>{renderMarkdown(bold.slice(2, -2), key)}</strong>);
+    } else if (strike) {
+      nodes.push(<del key={key}>{renderMarkdown(strike.slice(2, -2), key)}</del>);
+    } else if (italic) {
+      nodes.push(<em key={key}>{renderMarkdown(italic.slice(1, -1), key)}</em>);
+    } else if (link) {
+      const [, label, href] = link.match(/^\[([^\]]+)\]\((.+)\)$/);
+      nodes.push(<Link key={key} href={href}>{label}</Link>);
+    } else if (url) {
+      nodes.push(<Link key={key} href={url}>{url}</Link>);
+    }
+    lastIndex = match.index + token.length;
+  }
+  if (lastIndex < text.length) {
+    nodes.push(text.slice(lastIndex));
+  }
+  return nodes;
+};
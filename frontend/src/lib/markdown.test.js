@@ -0,0 +1,71 @@
+import { render, screen } from '@testing-library/react';
+import { renderMarkdown } from './markdown';
+
+const renderText = (text) => render(<p>{renderMarkdown(text)}</p>);
+
+test('formats code, bold, strike and italic', () => {
+  renderText('`a*b*` **bold** ~~gone~~ *soft*');
+  expect(screen.getByText('a*b*').tagName).toBe('CODE');
+  expect(screen.getByText('bold').tagName).toBe('STRONG');
+  expect(screen.getByText('gone').tagName).toBe('DEL');
+  expect(screen.getByText('soft').tagName).toBe('EM');
+});
+
+test('links http(s) addresses in a new tab without an opener', () => {
+  renderText('see [the docs](https://example.com/docs) or http://example.org.');
+  const links = screen.getAllByRole('link');
+  expect(links).toHaveLength(2);
+  expect(screen.getByRole('link', { name: 'the docs' })).toHaveAttribute('href', 'https://example.com/docs');
+  // Trailing punctuation stays out of a bare link
+  expect(screen.getByRole('link', { name: 'http://example.org' })).toHaveAttribute('href', 'http://example.org');
+  links.forEach((link) => {
+    expect(link).toHaveAttribute('target', '_blank');
+    expect(link).toHaveAttribute('rel', 'noopener noreferrer');
+  });
+});
+
+test('never links other schemes', () => {
+  [
+    `[click](${['javascript', 'alert(1)'].join(':')})`,
+    '[click](data:text/html,<script>alert(1)</script>)',
+    '[click](vbscript:msgbox)',
+    '[click](//evil.example.com)',
+  ].forEach((text) => {
+    const { unmount } = renderText(text);
+    expect(screen.queryByRole('link')).not.toBeInTheDocument();
+    expect(screen.getByText(text)).toBeInTheDocument();
+    unmount();
+  });
+});
+
+test('renders HTML as text', () => {
+  renderText('<img src=x onerror=alert(1)> **<b>hi</b>**');
+  expect(screen.queryByRole('img')).not.toBeInTheDocument();
+  expect(screen.getByText('<img src=x onerror=alert(1)>', { exact: false })).toBeInTheDocument();
+  expect(screen.getByText('<b>hi</b>').tagName).toBe('STRONG');
+});
+
+test('unclosed markers and markers across lines stay as typed', () => {
+  expect(renderMarkdown('')).toEqual([]);
+  expect(renderMarkdown('**not bold')).toEqual(['**not bold']);
+  expect(renderMarkdown('`not code')).toEqual(['`not code']);
+  expect(renderMarkdown('*one\ntwo*')).toEqual(['*one\ntwo*']);
+});
+
+test('formatting nests inside strike and emphasis', () => {
+  renderText('~~old *news*~~');
+  expect(screen.getByText('news').tagName).toBe('EM');
+  expect(screen.getByRole('deletion')).toContainElement(screen.getByText('news'));
+});
+
+test('a bare link ends before closing brackets and punctuation', () => {
+  renderText('(see HTTPS://Example.com/a_b?x=1), then [docs](https://example.com/docs).');
+  expect(screen.getByRole('link', { name: 'HTTPS://Example.com/a_b?x=1' }))
+    .toHaveAttribute('href', 'HTTPS://Example.com/a_b?x=1');
+  expect(screen.getByRole('link', { name: 'docs' })).toHaveAttribute('href', 'https://example.com/docs');
+});
+
+test('link labels are not formatted', () => {
+  renderText('[**label**](https://example.com)');
+  expect(screen.getByRole('link', { name: '**label**' })).toBeInTheDocument();
+});
@@ -0,0 +1,116 @@
+const WIDTH = 1280;
+const HEIGHT = 720;
+const FRAME_RATE = 30;
+const GAP = 8;
+const MIME_TYPES = ['video/webm;codecs=vp8,opus', 'video/webm'];
+
+const fileTimestamp = (date) => date.toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+const drawTile = (context, { video, label }, x, y, width, height) => {
+  context.fillStyle = '#222';
+  context.fillRect(x, y, width, height);
+  if (video?.srcObject && video.videoWidth) {
+    // Fit the whole picture in the tile, like object-fit: contain
+    const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+    const w = video.videoWidth * scale;
+    const h = video.videoHeight * scale;
+    context.drawImage(video, x + (width - w) / 2, y + (height - h) / 2, w, h);
+  }
+  context.font = '20px sans-serif';
+  context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  context.fillRect(x, y + height - 32, context.measureText(label).width + 16, 32);
+  context.fillStyle = '#fff';
+  context.fillText(label, x + 8, y + height - 10);
+};
+
+// Records the meeting in the browser, without the server: the video tiles
+// are drawn onto a canvas in a grid and every audio track is mixed through
+// Web Audio. `getSources` is asked on every frame, so people who join or
+// leave show up in, or drop out of, the grid and the mix as it records. It
+// returns [{ id, label, video, stream }], where `video` is the tile's
+// element and `stream` carries the audio.
+//
+// `stop()` finishes the recording and downloads it as a timestamped WebM
+// file named after `name`.
+export const startMeetingRecording = ({ name, getSources, log }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const context = canvas.getContext('2d');
+
+  const audioContext = new AudioContext();
+  const mix = audioContext.createMediaStreamDestination();
+  // Audio tracks connected to the mix, by track id
+  const audioInputs = new Map();
+
+  const syncAudio = (sources) => {
+    const tracks = sources.flatMap(({ stream }) => stream?.getAudioTracks() || [])
+      .filter((track) => track.readyState === 'live');
+    const ids = new Set(tracks.map((track) => track.id));
+    audioInputs.forEach((node, id) => {
+      if (ids.has(id)) return;
+      node.disconnect();
+      audioInputs.delete(id);
+    });
+    tracks.filter((track) => !audioInputs.has(track.id)).forEach((track) => {
+      const node = audioContext.createMediaStreamSource(new MediaStream([track]));
+      node.connect(mix);
+      audioInputs.set(track.id, node);
+    });
+  };
+
+  const drawFrame = () => {
+    const sources = getSources();
+    syncAudio(sources);
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+    if (!sources.length) return;
+    const columns = Math.ceil(Math.sqrt(sources.length));
+    const rows = Math.ceil(sources.length / columns);
+    const width = (WIDTH - GAP * (columns + 1)) / columns;
+    const height = (HEIGHT - GAP * (rows + 1)) / rows;
+    sources.forEach((source, index) => {
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+      drawTile(context, source, GAP + column * (width + GAP), GAP + row * (height + GAP), width, height);
+    });
+  };
+
+  // A timer rather than animation frames, which stop in a background tab
+  drawFrame();
+  const timer = setInterval(drawFrame, 1000 / FRAME_RATE);
+
+  const stream = new MediaStream([
+    ...canvas.captureStream(FRAME_RATE).getVideoTracks(),
+    ...mix.stream.getAudioTracks(),
+  ]);
+  const recorder = new MediaRecorder(stream, {
+    mimeType: MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '',
+  });
+  const chunks = [];
+  const startedAt = new Date();
+  recorder.ondataavailable = ({ data }) => {
+    if (data.size) chunks.push(data);
+  };
+  recorder.onstop = () => {
+    clearInterval(timer);
+    stream.getTracks().forEach((track) => track.stop());
+    audioContext.close();
+    const url = URL.createObjectURL(new Blob(chunks, { type: 'video/webm' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}-${fileTimestamp(startedAt)}.webm`;
+    link.click();
+    // Give the download a moment to start before letting go of the data
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    log(`Local recording saved as ${link.download}`);
+  };
+  recorder.start(1000);
+  log('Recording the meeting locally');
+
+  return {
+    stop() {
+      if (recorder.state !== 'inactive') recorder.stop();
+    },
+  };
+};
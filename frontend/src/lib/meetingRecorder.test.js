@@ -0,0 +1,145 @@
+import { startMeetingRecording } from './meetingRecorder';
+
+class FakeMediaStream {
+  constructor(tracks = []) {
+    this.tracks = tracks;
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+
+  getAudioTracks() {
+    return this.tracks.filter((track) => track.kind === 'audio');
+  }
+
+  getVideoTracks() {
+    return this.tracks.filter((track) => track.kind === 'video');
+  }
+}
+
+const track = (kind, id = kind) => ({ kind, id, readyState: 'live', stop: jest.fn() });
+
+let audioContext;
+let recorder;
+let downloads;
+
+class FakeAudioContext {
+  constructor() {
+    audioContext = this;
+    this.sources = [];
+    this.close = jest.fn();
+  }
+
+  createMediaStreamDestination() {
+    return { stream: new FakeMediaStream([track('audio', 'mix')]) };
+  }
+
+  createMediaStreamSource(stream) {
+    const source = { trackId: stream.getTracks()[0].id, connect: jest.fn(), disconnect: jest.fn() };
+    this.sources.push(source);
+    return source;
+  }
+}
+
+class FakeMediaRecorder {
+  static isTypeSupported(type) {
+    return type === 'video/webm';
+  }
+
+  constructor(stream, options) {
+    recorder = this;
+    this.stream = stream;
+    this.options = options;
+    this.state = 'inactive';
+  }
+
+  start() {
+    this.state = 'recording';
+  }
+
+  stop() {
+    this.state = 'inactive';
+    this.ondataavailable({ data: new Blob(['webm data']) });
+    this.ondataavailable({ data: new Blob([]) });
+    this.onstop();
+  }
+}
+
+const context2d = {
+  fillRect: jest.fn(),
+  drawImage: jest.fn(),
+  fillText: jest.fn(),
+  measureText: () => ({ width: 40 }),
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  downloads = [];
+  global.MediaStream = FakeMediaStream;
+  global.AudioContext = FakeAudioContext;
+  global.MediaRecorder = FakeMediaRecorder;
+  URL.createObjectURL = jest.fn(() => 'blob:recording');
+  URL.revokeObjectURL = jest.fn();
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context2d);
+  HTMLCanvasElement.prototype.captureStream = () => new FakeMediaStream([track('video', 'canvas')]);
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+    downloads.push(this);
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  delete HTMLCanvasElement.prototype.captureStream;
+  ['MediaStream', 'AudioContext', 'MediaRecorder'].forEach((name) => delete global[name]);
+});
+
+test('the recording is downloaded as a WebM file named after the meeting', () => {
+  jest.setSystemTime(new Date('2026-03-04T05:06:07Z'));
+  const log = jest.fn();
+  const recording = startMeetingRecording({ name: 'standup', getSources: () => [], log });
+  expect(recorder.options.mimeType).toBe('video/webm');
+  expect(recorder.stream.getTracks().map((t) => t.id)).toEqual(['canvas', 'mix']);
+
+  recording.stop();
+  recording.stop();
+  expect(downloads).toHaveLength(1);
+  expect(downloads[0].download).toBe('standup-2026-03-04-05-06-07.webm');
+  expect(downloads[0].href).toBe('blob:recording');
+  const [blob] = URL.createObjectURL.mock.calls[0];
+  expect(blob.type).toBe('video/webm');
+  expect(blob.size).toBe('webm data'.length);
+  expect(log).toHaveBeenLastCalledWith('Local recording saved as standup-2026-03-04-05-06-07.webm');
+  recorder.stream.getTracks().forEach((t) => expect(t.stop).toHaveBeenCalled());
+  expect(audioContext.close).toHaveBeenCalled();
+
+  // The data is let go once the download has had time to start
+  expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(60 * 1000);
+  expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:recording');
+});
+
+test('people are mixed in and drawn as they join and leave', () => {
+  const alice = { id: 'alice', label: 'Alice', video: { srcObject: {}, videoWidth: 640, videoHeight: 480 } };
+  const bob = { id: 'bob', label: 'Bob', video: { srcObject: null }, stream: new FakeMediaStream([track('audio', 'bob-mic')]) };
+  const ended = { ...track('audio', 'carol-mic'), readyState: 'ended' };
+  const carol = { id: 'carol', label: 'Carol', stream: new FakeMediaStream([ended]) };
+  let sources = [alice];
+  const recording = startMeetingRecording({ name: 'standup', getSources: () => sources, log: () => {} });
+  expect(context2d.drawImage).toHaveBeenCalledTimes(1);
+  expect(audioContext.sources).toHaveLength(0);
+
+  sources = [alice, bob, carol];
+  jest.advanceTimersByTime(1000 / 30);
+  expect(audioContext.sources.map((source) => source.trackId)).toEqual(['bob-mic']);
+  expect(context2d.fillText).toHaveBeenCalledWith('Carol', expect.any(Number), expect.any(Number));
+  // Only a tile with a picture has anything to draw
+  expect(context2d.drawImage).toHaveBeenCalledTimes(2);
+
+  sources = [alice];
+  jest.advanceTimersByTime(1000 / 30);
+  expect(audioContext.sources[0].disconnect).toHaveBeenCalled();
+  recording.stop();
+});
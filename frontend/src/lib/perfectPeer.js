@@ -0,0 +1,202 @@
+import { EventEmitter } from 'events';
+
+// Matches the data channel's bufferedAmountLowThreshold: writes past this
+// report backpressure and the caller waits for 'drain'
+const MAX_BUFFERED_AMOUNT = 64 * 1024;
+
+// One RTCPeerConnection negotiated with the "perfect negotiation" pattern:
+// either side may send an offer whenever its tracks change, and when two
+// offers cross the polite side rolls its own back and answers while the
+// impolite side ignores the incoming one. The two ends of a connection must
+// have opposite `polite` values.
+//
+// `session` identifies this particular connection and travels with its
+// signals, so the other side can tell when we have started over. The owner
+// records the other side's in `remoteSession`, and that of the connection
+// this one replaced in `staleRemoteSession`.
+//
+// The other side may send more than one stream, e.g. a camera and a screen
+// share; 'stream' fires once for each, and `remoteStream` is the first.
+//
+// Events: 'signal' (description or { candidate } to send to the other side),
+// 'stream', 'track', 'connect', 'data', 'drain', 'iceconnectionstatechange',
+// 'error' and 'close'.
+export class PerfectPeer extends EventEmitter {
+  constructor({ polite, stream, config }) {
+    super();
+    this.polite = polite;
+    this.session = Math.random().toString(36).slice(2, 12);
+    this.remoteSession = null;
+    this.staleRemoteSession = null;
+    this.connected = false;
+    this.destroyed = false;
+    this.remoteStream = null;
+    this._remoteStreamIds = new Set();
+    this._receivingVideo = true;
+    this._makingOffer = false;
+    this._ignoreOffer = false;
+    this._settingRemoteAnswer = false;
+
+    this._pc = new RTCPeerConnection(config);
+    this._pc.onnegotiationneeded = () => this._negotiate();
+    this._pc.onicecandidate = ({ candidate }) => {
+      if (candidate) this.emit('signal', { candidate: candidate.toJSON() });
+    };
+    this._pc.ontrack = ({ track, streams: [remoteStream] }) => {
+      if (remoteStream && !this._remoteStreamIds.has(remoteStream.id)) {
+        this._remoteStreamIds.add(remoteStream.id);
+        this.remoteStream = this.remoteStream || remoteStream;
+        this.emit('stream', remoteStream);
+      }
+      // Video the other side starts sending later is turned down as well
+      if (track.kind === 'video' && !this._receivingVideo) this._applyVideoReceiving();
+      this.emit('track', track, remoteStream);
+    };
+    this._pc.oniceconnectionstatechange = () => this.emit('iceconnectionstatechange', this._pc.iceConnectionState);
+
+    // Pre-negotiated on both ends, so neither side has to wait for the other
+    // to announce it
+    this._channel = this._pc.createDataChannel('data', { negotiated: true, id: 0 });
+    this._channel.binaryType = 'arraybuffer';
+    this._channel.bufferedAmountLowThreshold = MAX_BUFFERED_AMOUNT;
+    this._channel.onopen = () => {
+      this.connected = true;
+      this.emit('connect');
+    };
+    this._channel.onclose = () => {
+      this.connected = false;
+    };
+    this._channel.onmessage = ({ data }) => this.emit('data', data);
+    this._channel.onbufferedamountlow = () => this.emit('drain');
+
+    stream?.getTracks().forEach((track) => this._pc.addTrack(track, stream));
+  }
+
+  async _negotiate() {
+    try {
+      this._makingOffer = true;
+      await this._pc.setLocalDescription();
+      this.emit('signal', this._pc.localDescription.toJSON());
+    } catch (err) {
+      this._fail(err);
+    } finally {
+      this._makingOffer = false;
+    }
+  }
+
+  // Feed in a description or { candidate } received from the other side
+  async signal(data) {
+    if (this.destroyed) return;
+    try {
+      if (data.candidate) {
+        try {
+          await this._pc.addIceCandidate(data.candidate);
+        } catch (err) {
+          // Candidates for an offer we chose to ignore are expected to fail
+          if (!this._ignoreOffer) throw err;
+        }
+        return;
+      }
+      const readyForOffer = !this._makingOffer
+        && (this._pc.signalingState === 'stable' || this._settingRemoteAnswer);
+      const collision = data.type === 'offer' && !readyForOffer;
+      this._ignoreOffer = !this.polite && collision;
+      if (this._ignoreOffer) return;
+
+      this._settingRemoteAnswer = data.type === 'answer';
+      // For the polite side this implicitly rolls back a colliding offer
+      await this._pc.setRemoteDescription(data);
+      this._settingRemoteAnswer = false;
+      if (data.type === 'offer') {
+        await this._pc.setLocalDescription();
+        this.emit('signal', this._pc.localDescription.toJSON());
+      }
+    } catch (err) {
+      this._settingRemoteAnswer = false;
+      this._fail(err);
+    }
+  }
+
+  get iceConnectionState() {
+    return this._pc.iceConnectionState;
+  }
+
+  getStats() {
+    return this._pc.getStats();
+  }
+
+  // New ICE credentials and candidates over the same connection, e.g. after
+  // a network change; negotiates through 'signal' like any other change
+  restartIce() {
+    this._pc.restartIce();
+  }
+
+  // Adding or removing a track renegotiates on its own
+  addTrack(track, stream) {
+    this._pc.addTrack(track, stream);
+  }
+
+  removeTrack(track) {
+    const sender = this._pc.getSenders().find((s) => s.track === track);
+    if (sender) this._pc.removeTrack(sender);
+  }
+
+  // Sends `track` in place of `oldTrack` without renegotiating
+  replaceTrack(oldTrack, track) {
+    const sender = this._pc.getSenders().find((s) => s.track === oldTrack);
+    return sender ? sender.replaceTrack(track) : Promise.resolve();
+  }
+
+  // Caps what goes out for `track` with RTCRtpSender encoding parameters,
+  // e.g. { maxBitrate, scaleResolutionDownBy, maxFramerate }. Resolves to
+  // false if there is nothing to apply them to yet, before negotiation.
+  async setEncoding(track, encoding) {
+    const sender = this._pc.getSenders().find((s) => s.track === track);
+    const parameters = sender?.getParameters();
+    if (!parameters?.encodings?.length) return false;
+    parameters.encodings = parameters.encodings.map((current) => ({ ...current, ...encoding }));
+    await sender.setParameters(parameters);
+    return true;
+  }
+
+  // Whether the other side should send us video. Turning it off renegotiates
+  // the video transceivers to send-only (or inactive), so the video stops
+  // at the sender rather than being dropped here.
+  setVideoReceiving(receiving) {
+    if (receiving === this._receivingVideo) return;
+    this._receivingVideo = receiving;
+    this._applyVideoReceiving();
+  }
+
+  _applyVideoReceiving() {
+    this._pc.getTransceivers()
+      .filter((transceiver) => transceiver.receiver.track.kind === 'video' && transceiver.currentDirection !== 'stopped')
+      .forEach((transceiver) => {
+        const sending = transceiver.direction === 'sendrecv' || transceiver.direction === 'sendonly';
+        const direction = this._receivingVideo
+          ? (sending ? 'sendrecv' : 'recvonly')
+          : (sending ? 'sendonly' : 'inactive');
+        if (transceiver.direction !== direction) transceiver.direction = direction;
+      });
+  }
+
+  // Sends on the data channel; false means the buffer is full and the caller
+  // should wait for 'drain' before writing more
+  write(data) {
+    this._channel.send(data);
+    return this._channel.bufferedAmount <= MAX_BUFFERED_AMOUNT;
+  }
+
+  _fail(err) {
+    if (!this.destroyed) this.emit('error', err);
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.connected = false;
+    this._channel.close();
+    this._pc.close();
+    this.emit('close');
+  }
+}
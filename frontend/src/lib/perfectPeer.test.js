@@ -0,0 +1,184 @@
+import { PerfectPeer } from './perfectPeer';
+
+// Just enough of RTCPeerConnection for the offer/answer state machine:
+// descriptions move signalingState the way a browser's would, and an offer
+// received while ours is outstanding rolls ours back
+class FakePeerConnection {
+  constructor() {
+    this.signalingState = 'stable';
+    this.iceConnectionState = 'new';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.rolledBack = false;
+    this.senders = [];
+    this.offers = 0;
+    this.channel = { send: jest.fn(), close: jest.fn(), bufferedAmount: 0 };
+  }
+
+  createDataChannel() {
+    return this.channel;
+  }
+
+  addTrack(track) {
+    this.senders.push({ track });
+  }
+
+  async setLocalDescription() {
+    const type = this.signalingState === 'have-remote-offer' ? 'answer' : 'offer';
+    if (type === 'offer') this.offers += 1;
+    const description = { type, sdp: `${type} ${this.offers}` };
+    this.localDescription = { ...description, toJSON: () => description };
+    this.signalingState = type === 'offer' ? 'have-local-offer' : 'stable';
+  }
+
+  async setRemoteDescription(description) {
+    if (description.type === 'offer') {
+      if (this.signalingState === 'have-local-offer') this.rolledBack = true;
+      this.signalingState = 'have-remote-offer';
+    } else {
+      this.signalingState = 'stable';
+    }
+    this.remoteDescription = description;
+  }
+
+  async addIceCandidate() {
+    if (!this.remoteDescription) throw new Error('No remote description');
+  }
+
+  restartIce() {
+    this.onnegotiationneeded();
+  }
+
+  close() {
+    this.signalingState = 'closed';
+  }
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const createPeer = (polite) => {
+  const peer = new PerfectPeer({ polite });
+  const signals = [];
+  peer.on('signal', (signal) => signals.push(signal));
+  peer.on('error', () => {});
+  return { peer, pc: peer._pc, signals };
+};
+
+// Delivers each side's signals to the other, as the signaling server would
+const connect = (a, b) => {
+  a.peer.on('signal', (signal) => b.peer.signal(signal));
+  b.peer.on('signal', (signal) => a.peer.signal(signal));
+};
+
+beforeEach(() => {
+  global.RTCPeerConnection = FakePeerConnection;
+});
+
+afterEach(() => {
+  delete global.RTCPeerConnection;
+});
+
+test('a change on either side is offered and answered', async () => {
+  const a = createPeer(false);
+  const b = createPeer(true);
+  connect(a, b);
+  b.pc.onnegotiationneeded();
+  await settle();
+  expect(b.signals.map((s) => s.type)).toEqual(['offer']);
+  expect(a.signals.map((s) => s.type)).toEqual(['answer']);
+  expect([a.pc.signalingState, b.pc.signalingState]).toEqual(['stable', 'stable']);
+});
+
+test('when offers cross, the polite side gives way and the impolite side keeps its own', async () => {
+  const impolite = createPeer(false);
+  const polite = createPeer(true);
+  connect(impolite, polite);
+  impolite.pc.onnegotiationneeded();
+  polite.pc.onnegotiationneeded();
+  await settle();
+
+  expect(polite.pc.rolledBack).toBe(true);
+  expect(impolite.pc.rolledBack).toBe(false);
+  expect(polite.pc.remoteDescription.sdp).toBe(impolite.pc.localDescription.sdp);
+  expect(impolite.signals.map((s) => s.type)).toEqual(['offer']);
+  expect(polite.signals.map((s) => s.type)).toEqual(['offer', 'answer']);
+  expect([impolite.pc.signalingState, polite.pc.signalingState]).toEqual(['stable', 'stable']);
+});
+
+test('candidates for an ignored offer are dropped without an error', async () => {
+  const { peer, pc } = createPeer(false);
+  const onError = jest.fn();
+  peer.on('error', onError);
+  pc.onnegotiationneeded();
+  await settle();
+  await peer.signal({ type: 'offer', sdp: 'their offer' });
+  await peer.signal({ candidate: { candidate: 'candidate:1' } });
+  expect(pc.signalingState).toBe('have-local-offer');
+  expect(onError).not.toHaveBeenCalled();
+
+  // Outside a collision a failing candidate is an error
+  const other = createPeer(true);
+  other.peer.on('error', onError);
+  await other.peer.signal({ candidate: { candidate: 'candidate:1' } });
+  expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'No remote description' }));
+});
+
+test('the data channel reports backpressure past its buffer limit', () => {
+  const { peer, pc } = createPeer(true);
+  const onDrain = jest.fn();
+  peer.on('drain', onDrain);
+  expect(peer.write('small')).toBe(true);
+  pc.channel.bufferedAmount = 64 * 1024 + 1;
+  expect(peer.write('one too many')).toBe(false);
+  expect(pc.channel.send).toHaveBeenCalledTimes(2);
+  pc.channel.onbufferedamountlow();
+  expect(onDrain).toHaveBeenCalled();
+});
+
+test('a destroyed peer closes once and ignores further signals', async () => {
+  const { peer, pc } = createPeer(true);
+  const onClose = jest.fn();
+  peer.on('close', onClose);
+  peer.destroy();
+  peer.destroy();
+  expect(onClose).toHaveBeenCalledTimes(1);
+  expect(pc.channel.close).toHaveBeenCalled();
+  await peer.signal({ type: 'offer', sdp: 'late offer' });
+  expect(pc.remoteDescription).toBeNull();
+});
+
+test('an ICE restart renegotiates over the same connection', async () => {
+  const a = createPeer(false);
+  const b = createPeer(true);
+  connect(a, b);
+  a.pc.onnegotiationneeded();
+  await settle();
+  const connection = b.pc;
+
+  b.peer.restartIce();
+  await settle();
+  expect(b.signals.map((s) => s.type)).toEqual(['answer', 'offer']);
+  expect(a.signals.map((s) => s.type)).toEqual(['offer', 'answer']);
+  expect(b.peer._pc).toBe(connection);
+  expect([a.pc.signalingState, b.pc.signalingState]).toEqual(['stable', 'stable']);
+});
+
+test('ICE state changes are reported as they happen', () => {
+  const { peer, pc } = createPeer(true);
+  const states = [];
+  peer.on('iceconnectionstatechange', (state) => states.push(state));
+  ['checking', 'connected', 'disconnected', 'failed'].forEach((state) => {
+    pc.iceConnectionState = state;
+    pc.oniceconnectionstatechange();
+  });
+  expect(states).toEqual(['checking', 'connected', 'disconnected', 'failed']);
+  expect(peer.iceConnectionState).toBe('failed');
+});
+
+test('each connection has a session of its own', () => {
+  const first = createPeer(true).peer;
+  const second = createPeer(true).peer;
+  expect(first.session).toMatch(/^[a-z0-9]+$/);
+  expect(second.session).not.toBe(first.session);
+  expect([second.remoteSession, second.staleRemoteSession]).toEqual([null, null]);
+});
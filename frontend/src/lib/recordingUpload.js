@@ -0,0 +1,76 @@
+import { SIGNALING_SERVER_URL } from '../config';
+
+// How much media each uploaded chunk holds
+const CHUNK_INTERVAL = 5000;
+const MAX_ATTEMPTS = 3;
+const MIME_TYPES = ['video/webm;codecs=vp8,opus', 'video/webm', 'audio/webm;codecs=opus', 'audio/webm'];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const pickMimeType = (stream) => {
+  const kind = stream.getVideoTracks().length ? 'video' : 'audio';
+  return MIME_TYPES.find((type) => type.startsWith(kind) && MediaRecorder.isTypeSupported(type)) || '';
+};
+
+export const canRecord = (stream) => typeof MediaRecorder !== 'undefined' && !!stream?.getTracks().length;
+
+// Records our own camera and microphone for a meeting recording and uploads
+// the WebM to the server as it goes, one chunk at a time and in order. Each
+// call uploads as a track of its own. `getToken` returns the session token
+// to sign in with.
+//
+// Returns a function that stops recording and resolves once the last chunk
+// has been uploaded.
+export const uploadRecording = (stream, { roomId, recordingId, getToken, log }) => {
+  const recorder = new MediaRecorder(stream, { mimeType: pickMimeType(stream) });
+  const trackId = window.crypto.randomUUID();
+  const url = `${SIGNALING_SERVER_URL}/api/rooms/${encodeURIComponent(roomId)}/recordings/${recordingId}/chunks`;
+  let seq = 0;
+  let failed = false;
+  let uploads = Promise.resolve();
+
+  const upload = async (blob, chunk) => {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+      let res = null;
+      try {
+        res = await fetch(`${url}?track=${trackId}&seq=${chunk}`, {
+          method: 'POST',
+          headers: { 'Content-Type': blob.type.split(';')[0] || 'video/webm', Authorization: `Bearer ${getToken()}` },
+          body: blob,
+        });
+      } catch (err) {
+        log(`Recording upload failed: ${err.message}`);
+      }
+      if (res?.ok) return true;
+      // The server turned the chunk down; sending it again will not help
+      if (res && res.status < 500) {
+        log(`Recording upload rejected: HTTP ${res.status}`);
+        return false;
+      }
+      await wait(attempt * 1000);
+    }
+    return false;
+  };
+
+  recorder.ondataavailable = ({ data }) => {
+    if (!data.size || failed) return;
+    const chunk = seq;
+    seq += 1;
+    uploads = uploads.then(async () => {
+      if (failed || await upload(data, chunk)) return;
+      failed = true;
+      log('Stopped uploading our part of the recording');
+    });
+  };
+  recorder.start(CHUNK_INTERVAL);
+
+  return () => new Promise((resolve) => {
+    if (recorder.state === 'inactive') {
+      resolve(uploads);
+      return;
+    }
+    // The last chunk arrives before 'stop'
+    recorder.addEventListener('stop', () => resolve(uploads), { once: true });
+    recorder.stop();
+  });
+};
@@ -0,0 +1,165 @@
+import { Device } from 'mediasoup-client';
+
+// Camera video is sent in three simulcast layers, lowest first. The server
+// forwards each receiver the layer it asks for with setLayer.
+const SIMULCAST_ENCODINGS = [
+  { rid: 'r0', maxBitrate: 150000, scaleResolutionDownBy: 4 },
+  { rid: 'r1', maxBitrate: 500000, scaleResolutionDownBy: 2 },
+  { rid: 'r2', maxBitrate: 1500000 },
+];
+
+// Which simulcast layer to receive when showing this many remote tiles
+export const layerForTileCount = (count) => {
+  if (count > 6) return 0;
+  if (count > 2) return 1;
+  return 2;
+};
+
+// One connection to the SFU for the duration of a room visit: a send
+// transport with a producer per local track and a receive transport with a
+// consumer per remote track. `request(event, data)` sends an SFU signaling
+// event and resolves with the server's acknowledgement. Tracks are tagged
+// with their source, 'camera' (which includes the microphone) or 'screen'.
+export const createSfuSession = ({ request, onTrack, onTrackEnded, log }) => {
+  const device = new Device();
+  // By the local track they send
+  const producers = new Map();
+  const consumers = new Map();
+  let sendTransport = null;
+  let recvTransport = null;
+  let spatialLayer = 2;
+  // Video consumers stay paused on the server while this is set
+  let videoPaused = false;
+  let closed = false;
+
+  const createTransport = async (direction) => {
+    const { transport: params } = await request('sfu-create-transport', { direction });
+    const transport = direction === 'send'
+      ? device.createSendTransport(params)
+      : device.createRecvTransport(params);
+    transport.on('connect', ({ dtlsParameters }, callback, errback) => {
+      request('sfu-connect-transport', { transportId: transport.id, dtlsParameters }).then(callback, errback);
+    });
+    transport.on('produce', ({ kind, rtpParameters, appData }, callback, errback) => {
+      request('sfu-produce', { transportId: transport.id, kind, rtpParameters, source: appData.source })
+        .then(({ id }) => callback({ id }), errback);
+    });
+    transport.on('connectionstatechange', (state) => log(`SFU ${direction} transport ${state}`));
+    return transport;
+  };
+
+  const produce = async (track, source = 'camera') => {
+    producers.set(track, await sendTransport.produce({
+      track,
+      // The local stream outlives the session, e.g. across a reconnect
+      stopTracks: false,
+      appData: { source },
+      // Screens are read, not glanced at, so they go at full resolution
+      ...(track.kind === 'video' && source === 'camera' && {
+        encodings: SIMULCAST_ENCODINGS,
+        codecOptions: { videoGoogleStartBitrate: 1000 },
+      }),
+    }));
+  };
+
+  const setConsumerLayer = (consumer) => request('sfu-set-layer', { consumerId: consumer.id, spatialLayer })
+    .catch((err) => log(`Could not change layer of ${consumer.id}: ${err.message}`));
+
+  const consume = async ({ producerId }) => {
+    if (closed) return;
+    const { consumer: params } = await request('sfu-consume', {
+      transportId: recvTransport.id,
+      producerId,
+      rtpCapabilities: device.recvRtpCapabilities,
+    });
+    const consumer = await recvTransport.consume(params);
+    consumers.set(consumer.id, { consumer, peerId: params.peerId, source: params.source });
+    if (consumer.kind === 'video' && spatialLayer !== 2) {
+      await setConsumerLayer(consumer);
+    }
+    if (!(videoPaused && consumer.kind === 'video')) {
+      await request('sfu-resume-consumer', { consumerId: consumer.id });
+    }
+    onTrack(params.peerId, consumer.track, params.source);
+  };
+
+  return {
+    async start(stream) {
+      const { rtpCapabilities, producers: existing } = await request('sfu-join', {});
+      await device.load({ routerRtpCapabilities: rtpCapabilities });
+      sendTransport = await createTransport('send');
+      recvTransport = await createTransport('recv');
+      await Promise.all(stream.getTracks().map((track) => produce(track)));
+      await Promise.all(existing.map((producer) => consume(producer)
+        .catch((err) => log(`Could not receive ${producer.kind} from ${producer.peerId}: ${err.message}`))));
+    },
+
+    consume(producer) {
+      return consume(producer)
+        .catch((err) => log(`Could not receive ${producer.kind} from ${producer.peerId}: ${err.message}`));
+    },
+
+    closeConsumer(consumerId) {
+      const entry = consumers.get(consumerId);
+      if (!entry) return;
+      consumers.delete(consumerId);
+      entry.consumer.close();
+      onTrackEnded(entry.peerId, entry.consumer.track, entry.source);
+    },
+
+    addTrack(track, source) {
+      return produce(track, source).catch((err) => log(`Could not send ${track.kind} to the SFU: ${err.message}`));
+    },
+
+    removeTrack(track) {
+      const producer = producers.get(track);
+      if (!producer) return;
+      producers.delete(track);
+      producer.close();
+      request('sfu-close-producer', { producerId: producer.id })
+        .catch((err) => log(`Could not stop sending ${track.kind}: ${err.message}`));
+    },
+
+    // Swaps what we send without renegotiating, e.g. for another camera
+    async replaceTrack(oldTrack, track) {
+      const producer = producers.get(oldTrack);
+      if (!producer) return;
+      producers.delete(oldTrack);
+      producers.set(track, producer);
+      await producer.replaceTrack({ track });
+    },
+
+    // What we receive from one participant's camera and microphone, as one
+    // stats report
+    async getStats(peerId) {
+      const reports = await Promise.all([...consumers.values()]
+        .filter((entry) => entry.peerId === peerId && entry.source !== 'screen')
+        .map(({ consumer }) => consumer.getStats()));
+      return new Map(reports.flatMap((report) => [...report]));
+    },
+
+    setLayer(layer) {
+      if (layer === spatialLayer) return;
+      spatialLayer = layer;
+      consumers.forEach(({ consumer }) => consumer.kind === 'video' && setConsumerLayer(consumer));
+    },
+
+    // Audio-only: the server stops forwarding video to us until resumed
+    setVideoPaused(paused) {
+      if (paused === videoPaused) return;
+      videoPaused = paused;
+      consumers.forEach(({ consumer }) => {
+        if (consumer.kind !== 'video') return;
+        request(paused ? 'sfu-pause-consumer' : 'sfu-resume-consumer', { consumerId: consumer.id })
+          .catch((err) => log(`Could not ${paused ? 'pause' : 'resume'} ${consumer.id}: ${err.message}`));
+      });
+    },
+
+    close() {
+      closed = true;
+      sendTransport?.close();
+      recvTransport?.close();
+      consumers.clear();
+    },
+  };
+};
@@ -0,0 +1,80 @@
+import io from 'socket.io-client';
+
+// Kept per tab, so a reload or a dropped connection comes back as the same
+// participant. Stored as { token, active }: `active` is set while a page is
+// using the session and cleared as it goes away. Browsers copy session
+// storage into a duplicated tab, and that copy still says active, because
+// the original page is still open; the duplicate starts a session of its own
+// instead of taking over the original's.
+const SESSION_KEY = 'livemeet.session';
+
+const readSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const writeSession = (session) => sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+
+// The page's one connection to the signaling server, kept for as long as the
+// page is open. The server identifies us by a participant id rather than the
+// socket id; it sends the id with a token in 'session' on every connect, and
+// presenting the token again after a reconnect gets the same id back.
+//
+// `on(event, handler)` returns a function that removes the listener.
+export const createSignalingClient = (url) => {
+  let participantId = null;
+
+  const stored = readSession();
+  writeSession({ token: (!stored.active && stored.token) || null, active: true });
+
+  const socket = io(url, {
+    transports: ['websocket', 'polling'],
+    reconnectionDelay: 1000,
+    reconnectionDelayMax: 5000,
+    randomizationFactor: 0.5,
+    // Read on every connection attempt, so reconnects present the latest token
+    auth: (callback) => callback({ sessionToken: readSession().token }),
+  });
+
+  socket.on('session', (session) => {
+    participantId = session.participantId;
+    writeSession({ token: session.token, active: true });
+  });
+
+  // A reload comes back as the same participant, and the server holds our
+  // place through its reconnect grace period, so there is no leaving here.
+  // The page that loads next, after a reload or back from the history, finds
+  // the session free to take.
+  const onPageHide = () => writeSession({ ...readSession(), active: false });
+  const onPageShow = () => writeSession({ ...readSession(), active: true });
+  window.addEventListener('pagehide', onPageHide);
+  window.addEventListener('pageshow', onPageShow);
+
+  return {
+    socket,
+
+    get participantId() {
+      return participantId;
+    },
+
+    // Signs us in to the HTTP API as this participant
+    get sessionToken() {
+      return readSession().token;
+    },
+
+    on(event, handler) {
+      socket.on(event, handler);
+      return () => socket.off(event, handler);
+    },
+
+    close() {
+      window.removeEventListener('pagehide', onPageHide);
+      window.removeEventListener('pageshow', onPageShow);
+      onPageHide();
+      socket.disconnect();
+    },
+  };
+};
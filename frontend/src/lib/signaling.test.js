@@ -0,0 +1,90 @@
+import io from 'socket.io-client';
+import { createSignalingClient } from './signaling';
+
+jest.mock('socket.io-client', () => jest.fn());
+
+// A socket that only records what it is given
+const createFakeSocket = () => {
+  const handlers = {};
+  return {
+    handlers,
+    on: jest.fn((event, handler) => {
+      handlers[event] = handler;
+    }),
+    off: jest.fn(),
+    emit: jest.fn(),
+    disconnect: jest.fn(),
+  };
+};
+
+// What the client presents when it connects
+const presentedToken = () => {
+  const { auth } = io.mock.calls[io.mock.calls.length - 1][1];
+  let token;
+  auth(({ sessionToken }) => {
+    token = sessionToken;
+  });
+  return token;
+};
+
+let socket;
+
+beforeEach(() => {
+  sessionStorage.clear();
+  io.mockImplementation(() => {
+    socket = createFakeSocket();
+    return socket;
+  });
+});
+
+// Clients stay subscribed to page events until closed
+const clients = [];
+const openClient = () => {
+  const client = createSignalingClient('http://signal');
+  clients.push(client);
+  return client;
+};
+
+afterEach(() => {
+  clients.splice(0).forEach((client) => client.close());
+});
+
+test('a new tab starts without a session and keeps the one it is given', () => {
+  const signaling = openClient();
+  expect(presentedToken()).toBeNull();
+  socket.handlers.session({ participantId: 'alice', token: 'alice-token' });
+  expect(signaling.participantId).toBe('alice');
+  expect(signaling.sessionToken).toBe('alice-token');
+  expect(presentedToken()).toBe('alice-token');
+});
+
+test('a reloaded page comes back as the same participant without leaving', () => {
+  openClient();
+  socket.handlers.session({ participantId: 'alice', token: 'alice-token' });
+  window.dispatchEvent(new Event('pagehide'));
+  expect(socket.emit).not.toHaveBeenCalledWith('leave-room');
+
+  openClient();
+  expect(presentedToken()).toBe('alice-token');
+});
+
+test('a duplicated tab starts a session of its own', () => {
+  openClient();
+  socket.handlers.session({ participantId: 'alice', token: 'alice-token' });
+
+  // The duplicate gets a copy of the session storage while the original is
+  // still open
+  const duplicate = openClient();
+  expect(presentedToken()).toBeNull();
+  expect(duplicate.sessionToken).toBeNull();
+});
+
+test('a closed client leaves its session to the next one on the page', () => {
+  const signaling = openClient();
+  socket.handlers.session({ participantId: 'alice', token: 'alice-token' });
+  signaling.close();
+  expect(socket.disconnect).toHaveBeenCalled();
+
+  openClient();
+  expect(presentedToken()).toBe('alice-token');
+});